@@ -3,6 +3,7 @@
 */
 var defer = require("../../../lib/promise").defer,
 	when = require("../../../lib/promise").when,
+	withTimeout = require("../../../lib/promise").withTimeout,
 	LazyArray = require("../../../lib/lazy-array").LazyArray,
 	http = require("http"),
 	parse = require("url").parse;
@@ -31,7 +32,12 @@ exports.request = function(originalRequest){
 			request[i] = parsed[i];
 		}
 	}
-	var deferred = defer();
+	var aborted;
+	var deferred = defer(function(){
+		// abort the request
+		aborted = true;
+		client.destroy();
+	});
 	if(exports.proxyServer){
 		request.pathname = request.url;
 		var proxySettings = parse(exports.proxyServer);
@@ -42,22 +48,17 @@ exports.request = function(originalRequest){
 	
 	var secure = request.protocol.indexOf("s") > -1;
 	var client = http.createClient(request.port || (secure ? 443 : 80), request.hostname, secure);
-	var timedOut, bodyDeferred;
+	var bodyDeferred;
 	client.on("error", function(error){
 		if(bodyDeferred){
 			bodyDeferred.reject(error);
 		}else{
 			deferred.reject(error);
 		}
-		clearTimeout(timeout);
 	});
 	// Limits the time of sending the request + receiving the response header to 20 seconds.
 	// No timeout is used on the client stream, but we do destroy the stream if a timeout is reached.
-	var timeout = setTimeout(function(){
-		timedOut = true;
-		client.destroy();
-		deferred.reject(new Error("Timeout"));
-	}, request.timeout || 20000);
+	var responsePromise = withTimeout(deferred.promise, request.timeout || 20000, {cancel: true});
 
 	var requestPath = request.pathname || request.pathInfo || "";
 	if (request.queryString) {
@@ -67,7 +68,7 @@ exports.request = function(originalRequest){
 	var req = client.request(request.method || "GET", requestPath, request.headers || 
 		{host: request.host || request.hostname + (request.port ? ":" + request.port : "")});
 	req.on("response", function (response){
-		if(timedOut){
+		if(aborted){
 			return;
 		}
 		response.status = response.statusCode;
@@ -75,11 +76,48 @@ exports.request = function(originalRequest){
 			buffer.push(block);
 		};
 		var buffer = [];
-		bodyDeferred = defer();
+		bodyDeferred = defer(function(){
+			// stop receiving the body
+			stopped = true;
+			client.destroy();
+		});
+		var stopped;
+		// stop receiving the body, the callback is not interested in the rest
+		function stop(){
+			if(!stopped){
+				stopped = true;
+				client.destroy();
+				bodyDeferred.resolve(true);
+			}
+		}
 		var body = response.body = LazyArray({
 			some: function(callback){
-				buffer.forEach(callback);
-				sendData = callback;
+				sendData = function(block){
+					if(stopped){
+						return;
+					}
+					var result = callback(block);
+					if(result && typeof result.then === "function"){
+						// a promise is returned, pause until it is fulfilled
+						response.pause();
+						result.then(function(result){
+							if(result){
+								stop();
+							}else if(!stopped){
+								response.resume();
+							}
+						}, function(error){
+							if(!stopped){
+								stopped = true;
+								client.destroy();
+								bodyDeferred.reject(error);
+							}
+						});
+					}else if(result){
+						stop();
+					}
+				};
+				buffer.forEach(sendData);
 				return bodyDeferred.promise;
 			}
 		});
@@ -89,22 +127,24 @@ exports.request = function(originalRequest){
 			sendData(chunk);
 		});
 		response.on("end", function(){
+			if(stopped){
+				return;
+			}
 			bodyDeferred.resolve();
 			// Since we have no connection pooling, let's not pretend to use Keep-Alive
 			client.end();
 		});
 		deferred.resolve(response);
-		clearTimeout(timeout);
 	});
 	if(request.body){
 		return when(request.body.forEach(function(block){
 			req.write(block);
 		}), function(){
 			req.end();
-			return deferred.promise;
+			return responsePromise;
 		});
 	}else{
 		req.end();
-		return deferred.promise;
+		return responsePromise;
 	}
 };
@@ -5,8 +5,10 @@ var defer = require("../../../lib/promise").defer,
 	LazyArray = require("../../../lib/lazy-array").LazyArray;
 // returns a promise that is fulfilled after the given number of milliseconds
 exports.delay = function(ms){
-	var deferred = defer();
-	_scheduleTimeout(deferred.resolve, ms, false);
+	var deferred = defer(function(){
+		_cancelTimeout(id);
+	});
+	var id = _scheduleTimeout(deferred.resolve, ms, false);
 	return deferred.promise;
 };
 // returns a lazy array that iterates one every given number of milliseconds
@@ -76,4 +78,12 @@ var _scheduleTimeout = function(callback, delay, repeat)
     return id;
 }
 
-
+var _cancelTimeout = function(id)
+{
+    var timeout = timeouts[id];
+    if (timeout) {
+        timeout.cancelled = true;
+        timeout.task.cancel();
+        delete timeouts[id];
+    }
+}
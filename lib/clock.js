@@ -0,0 +1,179 @@
+(function(define){
+define(function(require,exports){
+
+// The clock that the timers of promised-io (delay(), timeouts, the check for unhandled
+// rejections, schedule() and so on) are read from. By default it uses the real timers, tests
+// can install a virtual clock that only advances when told to, running the due timers
+// synchronously:
+//
+//	clock.install();
+//	var delayed = promise.delay(1000);
+//	clock.tick(1000); // delayed is now fulfilled
+//	clock.uninstall();
+//
+// Promise callbacks are still called by the promise scheduler, use
+// promise.setScheduler("sync") to have them called within tick() too.
+
+var realSetTimeout = typeof setTimeout !== "undefined" && setTimeout,
+	realClearTimeout = typeof clearTimeout !== "undefined" && clearTimeout,
+	realSetInterval = typeof setInterval !== "undefined" && setInterval,
+	realClearInterval = typeof clearInterval !== "undefined" && clearInterval;
+
+// the state of the installed virtual clock
+var installed = false, now, timers = [], nextId = 1;
+
+// a timer of the virtual clock
+function VirtualTimer(callback, ms, repeat){
+	this.callback = callback;
+	this.id = nextId++;
+	this.time = now + ms;
+	this.interval = repeat ? Math.max(ms, 1) : 0;
+}
+
+function addTimer(callback, ms, repeat){
+	var timer = new VirtualTimer(callback, Math.max(ms || 0, 0), repeat);
+	timers.push(timer);
+	return timer;
+}
+function removeTimer(timer){
+	if(timer instanceof VirtualTimer){
+		var index = timers.indexOf(timer);
+		if(index > -1){
+			timers.splice(index, 1);
+		}
+		return true;
+	}
+}
+// the timer that is due first (the first one created when they are due at the same time)
+function firstTimer(){
+	var first;
+	for(var i = 0; i < timers.length; i++){
+		var timer = timers[i];
+		if(!first || timer.time < first.time || (timer.time === first.time && timer.id < first.id)){
+			first = timer;
+		}
+	}
+	return first;
+}
+// runs the first timer if it is due by the given time, returns false if there is none
+function runFirst(until){
+	var timer = firstTimer();
+	if(!timer || timer.time > until){
+		return false;
+	}
+	now = timer.time;
+	if(timer.interval){
+		timer.time += timer.interval;
+	}else{
+		removeTimer(timer);
+	}
+	timer.callback();
+	return true;
+}
+
+/**
+ * @return the current time in milliseconds, of the virtual clock if it is installed
+ */
+exports.now = function(){
+	return installed ? now : new Date().getTime();
+};
+
+exports.setTimeout = function(callback, ms){
+	return installed ? addTimer(callback, ms) : realSetTimeout.apply(null, arguments);
+};
+
+exports.clearTimeout = function(timer){
+	if(!removeTimer(timer)){
+		realClearTimeout(timer);
+	}
+};
+
+exports.setInterval = function(callback, ms){
+	return installed ? addTimer(callback, ms, true) : realSetInterval.apply(null, arguments);
+};
+
+exports.clearInterval = function(timer){
+	if(!removeTimer(timer)){
+		realClearInterval(timer);
+	}
+};
+
+/**
+ * Installs the virtual clock, timers created from now on only run when the clock is advanced
+ * with tick() or runAll(). Timers created before keep running in real time.
+ * @param time	the time to start at in milliseconds (default is the current time)
+ * @return this module
+ */
+exports.install = function(time){
+	installed = true;
+	now = time === undefined ? new Date().getTime() : time;
+	timers = [];
+	return exports;
+};
+
+/**
+ * Uninstalls the virtual clock, the virtual timers that have not run are discarded.
+ */
+exports.uninstall = function(){
+	installed = false;
+	timers = [];
+};
+
+exports.isInstalled = function(){
+	return installed;
+};
+
+function checkInstalled(){
+	if(!installed){
+		throw new Error("The virtual clock is not installed");
+	}
+}
+
+/**
+ * Advances the virtual clock by the given number of milliseconds, running the timers that
+ * are due in order, including the ones they create. If a timer throws, the remaining
+ * timers still run and the first error is thrown afterwards.
+ * @param ms	the number of milliseconds to advance the clock by
+ * @return the new time
+ */
+exports.tick = function(ms){
+	checkInstalled();
+	var until = now + (ms || 0), error, failed;
+	while(true){
+		try{
+			if(!runFirst(until)){
+				break;
+			}
+		}catch(e){
+			if(!failed){
+				failed = true;
+				error = e;
+			}
+		}
+	}
+	now = until;
+	if(failed){
+		throw error;
+	}
+	return now;
+};
+
+/**
+ * Advances the virtual clock until there are no timers left, running them in order.
+ * @param limit	the maximum number of timers to run, to stop intervals (default 1000)
+ * @return the new time
+ */
+exports.runAll = function(limit){
+	checkInstalled();
+	limit = limit || 1000;
+	for(var i = 0; timers.length; i++){
+		if(i >= limit){
+			throw new Error("Aborted after running " + limit + " timers, there may be an interval or an endless loop");
+		}
+		runFirst(Infinity);
+	}
+	return now;
+};
+
+});
+})(typeof define!="undefined"?define:function(factory){factory(require,exports)});
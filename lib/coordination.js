@@ -0,0 +1,305 @@
+(function(define){
+define(function(require,exports){
+
+// Promise based coordination primitives: Mutex, Semaphore and Queue.
+// Waiting for a lock (or for a queued task to start) is cancellable by cancelling the returned
+// promise, and can be limited with a timeout option, after which the promise is rejected
+// with a TimeoutError.
+
+var promise = require("./promise"),
+	clock = require("./clock"),
+	defer = promise.defer,
+	when = promise.when;
+
+// removes the item from the list of waiters and rejects it if it is still waiting after the timeout,
+// returns the timer, which should be cleared when the item stops waiting
+function waitTimeout(waiting, item, deferred, timeout, removed){
+	if(timeout){
+		return clock.setTimeout(function(){
+			var index = waiting.indexOf(item);
+			if(index > -1){
+				waiting.splice(index, 1);
+				var error = new promise.TimeoutError("Timed out after " + timeout + "ms waiting");
+				error.elapsed = timeout;
+				deferred.reject(error);
+				removed && removed();
+			}
+		}, timeout);
+	}
+}
+
+/**
+ * A counting semaphore, allows up to the given number of holders at the same time.
+ * @param count	the number of holders allowed at the same time (default 1)
+ */
+function Semaphore(count){
+	if(!(this instanceof Semaphore)){
+		return new Semaphore(count);
+	}
+	var available = count === undefined ? 1 : count,
+		waiting = [];
+	function grant(){
+		var released;
+		return function release(){
+			if(!released){
+				released = true;
+				var next = waiting.shift();
+				if(next){
+					next.grant(grant());
+				}
+				else{
+					available++;
+				}
+			}
+		};
+	}
+	/**
+	 * Acquires the semaphore, waiting until it is available.
+	 * @param options	{timeout: maximum milliseconds to wait}
+	 * @return a promise for a release function, which must be called once the holder is done
+	 */
+	var acquire = this.acquire = function(options){
+		var cancelled, waiter;
+		var deferred = defer(function(){
+			cancelled = true;
+			var index = waiting.indexOf(waiter);
+			if(index > -1){
+				waiting.splice(index, 1);
+				clock.clearTimeout(waiter.timer);
+			}
+		});
+		function granted(release){
+			if(cancelled){
+				// cancelled after it was granted, give it back
+				release();
+			}
+			else{
+				deferred.resolve(release);
+			}
+		}
+		if(available > 0){
+			available--;
+			granted(grant());
+		}
+		else{
+			waiter = {
+				grant: function(release){
+					clock.clearTimeout(waiter.timer);
+					// handed over in a later turn, so that the promise can still be cancelled (giving the
+					// semaphore back) in the turn it is released in, like the promises derived from it
+					var handover = defer();
+					handover.resolve(release);
+					handover.promise.then(granted);
+				}
+			};
+			waiting.push(waiter);
+			waiter.timer = waitTimeout(waiting, waiter, deferred, options && options.timeout);
+		}
+		return deferred.promise;
+	};
+	/**
+	 * Calls the function once the semaphore is acquired, and releases it when the
+	 * promise returned by the function is settled.
+	 * @param fn	the function to call, may return a promise
+	 * @param options	{timeout: maximum milliseconds to wait for the semaphore}
+	 * @return a promise for the value returned by the function
+	 */
+	this.run = function(fn, options){
+		var acquired = acquire(options), cancelled, result;
+		var deferred = defer(function(reason){
+			cancelled = true;
+			promise.cancel(acquired, reason);
+			promise.cancel(result, reason);
+		});
+		// listens to the acquired promise itself, so that the release is not lost when
+		// this is cancelled after the semaphore was granted
+		acquired.then(function(release){
+			if(cancelled){
+				release();
+				return;
+			}
+			try{
+				result = promise.whenCall(fn, function(value){
+					release();
+					return value;
+				}, function(error){
+					release();
+					throw error;
+				});
+			}catch(e){
+				// the function threw
+				deferred.reject(e);
+				return;
+			}
+			deferred.resolve(result);
+		}, function(error){
+			if(!cancelled){
+				deferred.reject(error);
+			}
+		});
+		return deferred.promise;
+	};
+	/**
+	 * @return the number of holders that can acquire the semaphore without waiting
+	 */
+	this.available = function(){
+		return available;
+	};
+	/**
+	 * @return the number of acquirers waiting for the semaphore
+	 */
+	this.waiting = function(){
+		return waiting.length;
+	};
+}
+exports.Semaphore = Semaphore;
+
+/**
+ * A mutual exclusion lock, a semaphore that allows one holder at a time.
+ */
+function Mutex(){
+	if(!(this instanceof Mutex)){
+		return new Mutex();
+	}
+	var semaphore = new Semaphore(1);
+	/**
+	 * Locks the mutex, waiting until it is unlocked.
+	 * @param options	{timeout: maximum milliseconds to wait}
+	 * @return a promise for a release function, which unlocks the mutex
+	 */
+	this.lock = semaphore.acquire;
+	/**
+	 * Calls the function with the mutex locked, and unlocks it when the
+	 * promise returned by the function is settled.
+	 * @param fn	the function to call, may return a promise
+	 * @param options	{timeout: maximum milliseconds to wait for the lock}
+	 * @return a promise for the value returned by the function
+	 */
+	this.runExclusive = semaphore.run;
+	this.isLocked = function(){
+		return semaphore.available() === 0;
+	};
+}
+exports.Mutex = Mutex;
+
+/**
+ * A queue of tasks (functions that may return promises) that are run in order of priority,
+ * then in the order they were added, with at most the given number running at the same time.
+ * @param options	{concurrency: the number of tasks that can run at the same time (default 1),
+ *	paused: true to start the queue paused}
+ */
+function Queue(options){
+	if(!(this instanceof Queue)){
+		return new Queue(options);
+	}
+	options = options || {};
+	var concurrency = options.concurrency || 1,
+		paused = !!options.paused,
+		tasks = [],
+		drains = [],
+		running = 0;
+	function next(){
+		while(!paused && running < concurrency && tasks.length){
+			start(tasks.shift());
+		}
+		if(!tasks.length && !running){
+			var waiting = drains;
+			drains = [];
+			waiting.forEach(function(deferred){
+				deferred.resolve();
+			});
+		}
+	}
+	function start(task){
+		clock.clearTimeout(task.timer);
+		running++;
+		var result;
+		try{
+			result = task.fn();
+		}catch(e){
+			task.deferred.reject(e);
+			done();
+			return;
+		}
+		// cancelling the task from now on cancels the promise returned by its function
+		task.deferred.resolve(result);
+		when(result, done, done);
+	}
+	function done(){
+		running--;
+		next();
+	}
+	/**
+	 * Adds a task to the queue.
+	 * @param fn	the function to run, may return a promise
+	 * @param options	{priority: tasks with a higher priority run first (default 0),
+	 *	timeout: maximum milliseconds to wait for the task to start}
+	 * @return a promise for the value returned by the function
+	 */
+	this.add = function(fn, options){
+		var priority = (options && options.priority) || 0;
+		var task = {fn: fn, priority: priority};
+		task.deferred = defer(function(){
+			var index = tasks.indexOf(task);
+			if(index > -1){
+				tasks.splice(index, 1);
+				clock.clearTimeout(task.timer);
+				next();
+			}
+		});
+		var index = tasks.length;
+		while(index > 0 && tasks[index - 1].priority < priority){
+			index--;
+		}
+		tasks.splice(index, 0, task);
+		task.timer = waitTimeout(tasks, task, task.deferred, options && options.timeout, next);
+		next();
+		return task.deferred.promise;
+	};
+	/**
+	 * Stops starting tasks, running tasks are not affected.
+	 */
+	this.pause = function(){
+		paused = true;
+	};
+	/**
+	 * Starts running tasks again after pause()
+	 */
+	this.resume = function(){
+		paused = false;
+		next();
+	};
+	this.isPaused = function(){
+		return paused;
+	};
+	/**
+	 * @return a promise that is fulfilled once there are no tasks waiting or running
+	 */
+	this.drain = function(){
+		var deferred = defer(function(){
+			var index = drains.indexOf(deferred);
+			if(index > -1){
+				drains.splice(index, 1);
+			}
+		});
+		drains.push(deferred);
+		next();
+		return deferred.promise;
+	};
+	/**
+	 * @return the number of tasks waiting to run
+	 */
+	this.size = function(){
+		return tasks.length;
+	};
+	/**
+	 * @return the number of tasks that are running
+	 */
+	this.running = function(){
+		return running;
+	};
+}
+exports.Queue = Queue;
+
+});
+})(typeof define!="undefined"?define:function(factory){factory(require,exports)});
@@ -8,26 +8,73 @@ if (typeof system === "object" && system.engine === "rhino"){
 	return require("../engines/rhino/lib/delay");
 }
 var defer = require("./promise").defer,
-	LazyArray = require("./lazy-array").LazyArray;
+	LazyArray = require("./lazy-array").LazyArray,
+	clock = require("./clock");
 // returns a promise that is fulfilled after the given number of milliseconds
 function delay(ms){
-	var deferred = defer();
-	setTimeout(deferred.resolve, ms);
+	var deferred = defer(function(){
+		clock.clearTimeout(timer);
+	});
+	var timer = clock.setTimeout(deferred.resolve, ms);
 	return deferred.promise;
 };
 // returns a lazy array that iterates one every given number of milliseconds
 delay.schedule = function(ms){
-	var callbacks = [];
-	setInterval(function(){
-		callbacks.forEach(function(callback){
-			if(callback()){
-				callbacks.splice(callbacks.indexOf(callback), 1);
+	var callbacks = [],
+		timer = clock.setInterval(tick, ms);
+	function tick(){
+		callbacks.concat().forEach(function(entry){
+			// a callback whose promise is pending skips the iterations until it is fulfilled
+			if(!entry.waiting){
+				run(entry);
 			}
 		});
-	}, ms);
+	}
+	function run(entry){
+		var result;
+		try{
+			result = entry.callback();
+		}catch(e){
+			remove(entry);
+			entry.deferred.reject(e);
+			return;
+		}
+		if(result && typeof result.then === "function"){
+			entry.waiting = true;
+			result.then(function(stop){
+				entry.waiting = false;
+				if(stop){
+					remove(entry);
+					entry.deferred.resolve(true);
+				}
+			}, function(error){
+				remove(entry);
+				entry.deferred.reject(error);
+			});
+		}else if(result){
+			remove(entry);
+			entry.deferred.resolve(true);
+		}
+	}
+	function remove(entry){
+		var index = callbacks.indexOf(entry);
+		if(index > -1){
+			callbacks.splice(index, 1);
+			if(!callbacks.length){
+				clock.clearInterval(timer);
+				timer = null;
+			}
+		}
+	}
 	return LazyArray({
 		some: function(callback){
-			callbacks.push(callback);
+			var entry = {callback: callback};
+			entry.deferred = defer(function(){
+				remove(entry);
+			});
+			callbacks.push(entry);
+			timer = timer || clock.setInterval(tick, ms);
+			return entry.deferred.promise;
 		}
 	});
 };
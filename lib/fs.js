@@ -16,22 +16,55 @@ var fs = require("fs"),
 	Buffer = require("buffer").Buffer,
 	defer = require("./promise").defer,
 	when = require("./promise").when,
-	convertNodeAsyncFunction = require("./promise").convertNodeAsyncFunction;
+	withTimeout = require("./promise").withTimeout,
+	promisifyAll = require("./promise").promisifyAll;
 	
+// the number of milliseconds after which asynchronous operations are rejected with a
+// TimeoutError (useful for network mounts), no timeout is used by default
+exports.timeout = 0;
+
+function withOperationTimeout(asyncFunction){
+	return function(){
+		var promise = asyncFunction.apply(this, arguments);
+		return exports.timeout ? withTimeout(promise, exports.timeout) : promise;
+	};
+}
+
+function isAsyncFunction(name){
+	return !(name.match(/Sync$/) || name.match(/watch/) || name.match(/^[A-Z]|^create\w*Stream$/));
+}
+
+for (var i in fs) {
+	exports[i] = fs[i];
+}
 // convert all the non-sync functions
+promisifyAll(fs, {suffix: "", target: exports, filter: isAsyncFunction});
 for (var i in fs) {
-	if (i.match(/Sync$/) || i.match(/watch/)) {
-		exports[i] = fs[i];
-	}
-	else{
-		exports[i] = convertNodeAsyncFunction(fs[i]);
+	if (typeof fs[i] === "function" && isAsyncFunction(i)) {
+		exports[i] = withOperationTimeout(exports[i]);
 	}
 }
 function File(fd){
 	var file = new LazyArray({
 		some: function(callback){
-			var deferred = defer();
+			var cancelled;
+			var deferred = defer(function(){
+				// stop reading and release the file descriptor
+				cancelled = true;
+				when(fd, closeFd);
+			});
+			// stopped before the end, release the file descriptor
+			function stop(){
+				if(!cancelled){
+					cancelled = true;
+					closeFd(fd);
+					deferred.resolve(true);
+				}
+			}
 			function readAndSend(){
+				if(cancelled){
+					return;
+				}
 				var buffer = new Buffer(4096);
 				if(fd.then){
 					fd.then(function(resolvedFd){
@@ -42,12 +75,15 @@ function File(fd){
 					fs.read(fd, buffer, 0, 4096, null, readResponse);
 				} 
 				function readResponse(err, bytesRead){
+					if(cancelled){
+						return;
+					}
 					if(err){
 						deferred.reject(err);
 						return;
 					}
 					if (bytesRead === 0){
-						fs.close(fd);
+						closeFd(fd);
 						deferred.resolve();
 					}
 					else {
@@ -62,7 +98,7 @@ function File(fd){
 							if(result.then){
 								result.then(function(result){
 									if(result){
-										deferred.resolve();
+										stop();
 									}
 									else{
 										readAndSend(fd);
@@ -70,7 +106,7 @@ function File(fd){
 								}, deferred.reject);
 							}
 							else{
-								deferred.resolve();
+								stop();
 							}
 						}else{
 							readAndSend(fd);
@@ -83,7 +119,16 @@ function File(fd){
 		},
 		length: 0
 	});
+	// the file descriptor is closed once, after which close() does nothing, as it could
+	// otherwise close another file that was given the same descriptor
+	function closeFd(fd){
+		if(!file.closed){
+			file.closed = true;
+			fs.close(fd, function(){});
+		}
+	}
 	file.fd = fd;
+	file.closed = false;
 	file.then = function(callback, errback){
 		fd.then(function(){
 			callback(file);
@@ -133,6 +178,12 @@ exports.close = function(file){
 	if(file instanceof File){
 		var args = arguments; 
 		return when(file.fd, function(fd){
+			if(file.closed){
+				var closed = defer();
+				closed.resolve();
+				return closed.promise;
+			}
+			file.closed = true;
 			args[0] = fd;
 			return nodeClose.apply(this, args);
 		});
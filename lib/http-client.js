@@ -25,7 +25,9 @@ request = function(request){
 	for(var i in request.headers){
 		xhr.setRequestHeader(i, request.headers[i]);
 	}
-	var deferred = defer(),
+	var deferred = defer(function(){
+			xhr.abort();
+		}),
 		response,
 		lastUpdate;
 	xhr.onreadystatechange = function(){
@@ -60,6 +62,9 @@ request = function(request){
 		}
 	}
 	xhr.send(request.body && request.body.toString());
+	if(request.timeout){
+		return promise.withTimeout(deferred.promise, request.timeout, {cancel: true});
+	}
 	return deferred.promise;
 }
 }
@@ -74,9 +79,13 @@ request.Redirect = function(nextApp, maxRedirects){
 	maxRedirects = maxRedirects || 10;
 	return function(request){
 		var remaining = maxRedirects,
-			deferred = defer();
+			current,
+			deferred = defer(function(reason){
+				promise.cancel(current, reason);
+			});
 		function next(){
-			when(nextApp(request), function(response) {
+			current = nextApp(request);
+			when(current, function(response) {
 				if(remaining--){
 					// TODO cache safe redirects when cache is added
 					if(isRedirect(response)){
@@ -49,17 +49,62 @@ function SomeWrapper(hasSomeAndLength){
 	this.totalCount = hasSomeAndLength.totalCount;
 }
 exports.LazyArray.prototype = SomeWrapper.prototype = [];
+// the callback can return a promise to pause the source until it is fulfilled (with true to stop)
 SomeWrapper.prototype.some = function(callback){
-	this.source.some(callback);
+	return when(this.source.some(callback), function(stopped){
+		return !!stopped;
+	});
+};
+
+// like array.some(), but waits for the promises returned by the callback
+function someOf(array, callback){
+	var i = 0;
+	function next(){
+		while(i < array.length){
+			var result = callback(array[i++]);
+			if(result && typeof result.then === "function"){
+				return when(result, function(stop){
+					return stop ? true : next();
+				});
+			}
+			if(result){
+				return true;
+			}
+		}
+		return false;
+	}
+	return next();
 }
-SomeWrapper.prototype.filter = function(fn, thisObj){
-	var results = [];
-	return when(this.source.some(function(item){
-		if(fn.call(thisObj, item)){
-			results.push(item);
+
+// Creates a lazy array that reads the source when it is read. The step function is called
+// with a send function for each some() call and returns the callback for the source, which
+// passes items on with send() and returns what send() returns (or true to stop the source).
+function derive(source, step){
+	return new SomeWrapper({
+		some: function(callback){
+			var stopped = false;
+			var sourceCallback = step(function(item){
+				return when(callback(item), function(stop){
+					if(stop){
+						stopped = true;
+					}
+					return stop;
+				});
+			});
+			return when(source.some(sourceCallback), function(){
+				return stopped;
+			});
 		}
-	}), function(){
-		return results;
+	});
+}
+
+SomeWrapper.prototype.filter = function(fn, thisObj){
+	return derive(this.source, function(send){
+		return function(item){
+			if(fn.call(thisObj, item)){
+				return send(item);
+			}
+		};
 	});
 };
 
@@ -97,6 +142,104 @@ SomeWrapper.prototype.map = function(mapFn, mapThisObj){
 		}
 	});
 };
+// calls the function with each item, and passes on the items of the (lazy) arrays it returns
+SomeWrapper.prototype.flatMap = function(fn, thisObj){
+	return derive(this.source, function(send){
+		return function(item){
+			var result = fn.call(thisObj, item), stopped;
+			if(!(result && typeof result.some === "function")){
+				return send(result);
+			}
+			var sendItem = function(item){
+				return when(send(item), function(stop){
+					if(stop){
+						stopped = true;
+					}
+					return stop;
+				});
+			};
+			return when(Array.isArray(result) ? someOf(result, sendItem) : result.some(sendItem), function(){
+				return stopped;
+			});
+		};
+	});
+};
+SomeWrapper.prototype.take = function(count){
+	if(!(count > 0)){
+		return new SomeWrapper([]);
+	}
+	return derive(this.source, function(send){
+		var taken = 0;
+		return function(item){
+			var result = send(item);
+			if(++taken >= count){
+				// stop reading the source after the last item is handled
+				return when(result, function(){
+					return true;
+				});
+			}
+			return result;
+		};
+	});
+};
+SomeWrapper.prototype.skip = function(count){
+	return derive(this.source, function(send){
+		var skipped = 0;
+		return function(item){
+			if(skipped < count){
+				skipped++;
+				return;
+			}
+			return send(item);
+		};
+	});
+};
+// the indexes can not be negative, the length of a lazy array is not always known
+SomeWrapper.prototype.slice = function(start, end){
+	start = start || 0;
+	if(start < 0 || end < 0){
+		throw new RangeError("A lazy array can not be sliced with negative indexes");
+	}
+	var sliced = this.skip(start);
+	return end === undefined ? sliced : sliced.take(end - start);
+};
+SomeWrapper.prototype.takeWhile = function(fn, thisObj){
+	return derive(this.source, function(send){
+		return function(item){
+			if(!fn.call(thisObj, item)){
+				return true;
+			}
+			return send(item);
+		};
+	});
+};
+SomeWrapper.prototype.reduce = function(fn, initialValue){
+	return arguments.length > 1 ? promise.reduce(this, fn, initialValue) : promise.reduce(this, fn);
+};
+SomeWrapper.prototype.find = function(fn, thisObj){
+	var result;
+	return when(this.source.some(function(item){
+		if(fn.call(thisObj, item)){
+			result = item;
+			return true;
+		}
+	}), function(){
+		return result;
+	});
+};
+SomeWrapper.prototype.indexOf = function(value, fromIndex){
+	var index = -1, i = 0;
+	fromIndex = fromIndex || 0;
+	return when(this.source.some(function(item){
+		if(i >= fromIndex && item === value){
+			index = i;
+			return true;
+		}
+		i++;
+	}), function(){
+		return index;
+	});
+};
 SomeWrapper.prototype.toRealArray= function(mapFn, mapThisObj){
 	var array = [];
 	return when(this.source.some(function(item){
@@ -153,5 +296,419 @@ SomeWrapper.prototype.toJSON = function(){
 		return loadedParts;
 	});
 };
+
+if(typeof Symbol !== "undefined" && Symbol.asyncIterator){
+	// iterates with for await...of. The source is paused (by returning a promise from the
+	// some() callback) until the next item is asked for, and is stopped when the loop is left
+	// early, which closes the file or connection it is reading from.
+	SomeWrapper.prototype[Symbol.asyncIterator] = function(){
+		var source = this.source,
+			items = [], // items the source sent before they were asked for
+			requests = [], // deferreds for the results of next() calls waiting for an item
+			resume, // the deferred that the paused source is waiting on
+			iteration, started, finished, failed, error;
+		function start(){
+			started = true;
+			iteration = source.some(function(item){
+				if(finished){
+					return true;
+				}
+				var request = requests.shift();
+				if(request){
+					request.resolve({value: item, done: false});
+				}else{
+					items.push(item);
+				}
+				if(!requests.length){
+					// wait until the next item is asked for
+					resume = promise.defer();
+					return resume.promise;
+				}
+			});
+			when(iteration, function(){
+				finish();
+			}, function(e){
+				if(!finished){
+					failed = true;
+					error = e;
+				}
+				finish();
+			});
+		}
+		function finish(){
+			finished = true;
+			while(requests.length){
+				var request = requests.shift();
+				if(failed){
+					failed = false;
+					request.reject(error);
+				}else{
+					request.resolve({value: undefined, done: true});
+				}
+			}
+		}
+		function settled(value){
+			var deferred = promise.defer();
+			deferred.resolve(value);
+			return deferred.promise;
+		}
+		return {
+			next: function(){
+				if(items.length){
+					return settled({value: items.shift(), done: false});
+				}
+				if(finished){
+					if(failed){
+						failed = false;
+						var deferred = promise.defer();
+						deferred.reject(error);
+						return deferred.promise;
+					}
+					return settled({value: undefined, done: true});
+				}
+				var request = promise.defer();
+				requests.push(request);
+				if(!started){
+					start();
+				}else if(resume){
+					var paused = resume;
+					resume = null;
+					paused.resolve(false);
+				}
+				return request.promise;
+			},
+			"return": function(value){
+				if(!finished){
+					finished = true;
+					items = [];
+					if(resume){
+						// the source is paused, have it stop
+						resume.resolve(true);
+					}else if(started){
+						promise.cancel(iteration);
+					}
+					finish();
+				}
+				return settled({value: value, done: true});
+			}
+		};
+	};
+}
+
+/**
+ * Creates a lazy array from an async iterable (anything with a Symbol.asyncIterator
+ * function, like an async generator). The next item is not asked for until the promise
+ * returned by the some() callback is fulfilled, and the iterator is closed (with return())
+ * when the callback returns true to stop.
+ */
+exports.from = function(asyncIterable){
+	return LazyArray({
+		some: function(callback){
+			var iterator = asyncIterable[Symbol.asyncIterator](),
+				stopped;
+			var deferred = promise.defer(function(){
+				stopped = true;
+				close();
+			});
+			// closes the iterator, returns a promise for when it is closed
+			function close(){
+				if(typeof iterator["return"] === "function"){
+					return when(iterator["return"](), null, function(){});
+				}
+			}
+			function next(){
+				when(iterator.next(), function(result){
+					if(stopped){
+						return;
+					}
+					if(result.done){
+						deferred.resolve(false);
+						return;
+					}
+					var stop;
+					try{
+						stop = callback(result.value);
+					}catch(e){
+						fail(e);
+						return;
+					}
+					when(stop, function(stop){
+						if(stopped){
+							return;
+						}
+						if(stop){
+							stopped = true;
+							when(close(), function(){
+								deferred.resolve(true);
+							});
+						}else{
+							next();
+						}
+					}, fail);
+				}, fail);
+			}
+			function fail(error){
+				if(!stopped){
+					stopped = true;
+					deferred.reject(error);
+				}
+			}
+			next();
+			return deferred.promise;
+		}
+	});
+};
+
+// the error for a stream that is closed (destroyed without an error for example) before it
+// ended or finished, like the one of stream.finished()
+function prematureClose(){
+	var error = new Error("Premature close");
+	error.code = "ERR_STREAM_PREMATURE_CLOSE";
+	return error;
+}
+
+/**
+ * Creates a lazy array from a Node readable stream. The stream is paused while the promise
+ * returned by the some() callback is pending, and destroyed when the callback returns true
+ * to stop or the returned promise is cancelled. The iteration is rejected if the stream
+ * is closed before it ends.
+ */
+exports.fromStream = function(readable){
+	return LazyArray({
+		some: function(callback){
+			var finished;
+			var deferred = promise.defer(function(){
+				finish();
+				destroy();
+			});
+			function onData(chunk){
+				if(finished){
+					return;
+				}
+				var result;
+				try{
+					result = callback(chunk);
+				}catch(e){
+					onError(e);
+					destroy();
+					return;
+				}
+				if(result && typeof result.then === "function"){
+					readable.pause();
+					result.then(function(result){
+						if(result){
+							stop();
+						}else if(!finished){
+							readable.resume();
+						}
+					}, function(error){
+						onError(error);
+						destroy();
+					});
+				}else if(result){
+					stop();
+				}
+			}
+			function onEnd(){
+				if(!finished){
+					finish();
+					deferred.resolve(false);
+				}
+			}
+			function onError(error){
+				if(!finished){
+					finish();
+					deferred.reject(error);
+				}
+			}
+			function onClose(){
+				onError(prematureClose());
+			}
+			function stop(){
+				if(!finished){
+					finish();
+					destroy();
+					deferred.resolve(true);
+				}
+			}
+			function finish(){
+				finished = true;
+				readable.removeListener("data", onData);
+				readable.removeListener("end", onEnd);
+				readable.removeListener("error", onError);
+				readable.removeListener("close", onClose);
+			}
+			function destroy(){
+				if(typeof readable.destroy === "function"){
+					readable.destroy();
+				}
+			}
+			readable.on("data", onData);
+			readable.on("end", onEnd);
+			readable.on("error", onError);
+			readable.on("close", onClose);
+			return deferred.promise;
+		}
+	});
+};
+
+/**
+ * Creates a Node readable stream of the items of a lazy array. The lazy array is paused
+ * while the stream's buffer is full, and stopped when the stream is destroyed. An error
+ * from the lazy array destroys the stream with the error.
+ * @param lazyArray	the lazy array (or anything with a some() function) to read
+ * @param options	the options for the stream, like {objectMode: true} for items other
+ *	than strings and buffers
+ */
+exports.toReadable = function(lazyArray, options){
+	var Readable = require("stream").Readable,
+		streamOptions = {},
+		started, stopped, resume, iteration;
+	for(var key in options){
+		streamOptions[key] = options[key];
+	}
+	streamOptions.read = function(){
+		if(!started){
+			start();
+		}else if(resume){
+			var paused = resume;
+			resume = null;
+			paused.resolve(false);
+		}
+	};
+	streamOptions.destroy = function(error, callback){
+		if(!stopped){
+			stopped = true;
+			if(resume){
+				resume.resolve(true);
+			}else{
+				promise.cancel(iteration);
+			}
+		}
+		callback(error);
+	};
+	var readable = new Readable(streamOptions);
+	function start(){
+		started = true;
+		iteration = lazyArray.some(function(item){
+			if(stopped){
+				return true;
+			}
+			if(!readable.push(item)){
+				// the buffer is full, wait until more is read
+				resume = promise.defer();
+				return resume.promise;
+			}
+		});
+		when(iteration, function(){
+			if(!stopped){
+				stopped = true;
+				readable.push(null);
+			}
+		}, function(error){
+			if(!stopped){
+				stopped = true;
+				readable.destroy(error);
+			}
+		});
+	}
+	return readable;
+};
+
+/**
+ * Writes the items of a lazy array to a Node writable stream, waiting for the "drain"
+ * event when write() returns false. An error from the lazy array destroys the stream, an
+ * error from the stream stops the lazy array.
+ * @param lazyArray	the lazy array (or anything with a some() function) to read
+ * @param writable	the stream to write to
+ * @param options	{end: false to leave the stream open when the lazy array is finished}
+ * @return a promise that is fulfilled when the stream is finished (or all the items
+ * are written if it is left open) and rejected with the first error, or if the stream
+ * is closed before that
+ */
+exports.pipeTo = function(lazyArray, writable, options){
+	var end = !options || options.end !== false,
+		finished, drain, iteration;
+	var deferred = promise.defer(function(){
+		stop();
+	});
+	function onDrain(){
+		if(drain){
+			var drained = drain;
+			drain = null;
+			drained.resolve(false);
+		}
+	}
+	function onError(error){
+		if(!finished){
+			stop();
+			deferred.reject(error);
+		}
+	}
+	function onFinish(){
+		if(!finished){
+			cleanup();
+			deferred.resolve();
+		}
+	}
+	function onClose(){
+		onError(prematureClose());
+	}
+	// stops reading the lazy array
+	function stop(){
+		cleanup();
+		if(drain){
+			drain.resolve(true);
+		}else{
+			promise.cancel(iteration);
+		}
+	}
+	function cleanup(keepErrorListener){
+		finished = true;
+		writable.removeListener("drain", onDrain);
+		writable.removeListener("finish", onFinish);
+		writable.removeListener("close", onClose);
+		if(!keepErrorListener){
+			writable.removeListener("error", onError);
+		}
+	}
+	writable.on("drain", onDrain);
+	writable.on("error", onError);
+	writable.on("close", onClose);
+	if(end){
+		writable.on("finish", onFinish);
+	}
+	iteration = lazyArray.some(function(item){
+		if(finished){
+			return true;
+		}
+		if(!writable.write(item)){
+			drain = promise.defer();
+			return drain.promise;
+		}
+	});
+	when(iteration, function(){
+		if(finished){
+			return;
+		}
+		if(end){
+			writable.end();
+		}else{
+			cleanup();
+			deferred.resolve();
+		}
+	}, function(error){
+		if(!finished){
+			// the stream emits the error it is destroyed with, which is ignored once finished
+			cleanup(true);
+			if(typeof writable.destroy === "function"){
+				writable.destroy(error);
+			}
+			deferred.reject(error);
+		}
+	});
+	return deferred.promise;
+};
+
 return exports;
 });
@@ -91,4 +91,147 @@ exports.observe = function(object, eventName, listener, before) {
 	    	}
     	}; 
     };
-};
\ No newline at end of file
+};
+
+// names can be a single event name or an array of them
+function listen(emitter, names, listener){
+	names = names ? [].concat(names) : [];
+	names.forEach(function(name){
+		emitter.addListener(name, listener);
+	});
+	return function(){
+		names.forEach(function(name){
+			emitter.removeListener(name, listener);
+		});
+	};
+}
+// the value of an event, an array if there are several arguments
+function eventValue(args){
+	return args.length > 1 ? Array.prototype.slice.call(args) : args[0];
+}
+
+/**
+ * Returns a promise for the next occurrence of an event on a NodeJS EventEmitter.
+ * The listeners are removed once the promise is settled (or cancelled).
+ *
+ * The optional options parameter can have a rejectOn property with the name (or an array of
+ * names) of events that reject the promise (default is "error") and a timeout property
+ * with the maximum number of milliseconds to wait.
+ */
+exports.once = function(emitter, eventName, options){
+	var promise = require("./promise");
+	options = options || {};
+	var removeListeners = [];
+	function cleanup(){
+		removeListeners.forEach(function(remove){
+			remove();
+		});
+	}
+	var deferred = promise.defer(cleanup);
+	removeListeners.push(listen(emitter, eventName, function(){
+		cleanup();
+		deferred.resolve(eventValue(arguments));
+	}));
+	removeListeners.push(listen(emitter, "rejectOn" in options ? options.rejectOn : "error", function(error){
+		cleanup();
+		deferred.reject(error);
+	}));
+	if(options.timeout){
+		return promise.withTimeout(deferred.promise, options.timeout, {cancel: true});
+	}
+	return deferred.promise;
+};
+
+/**
+ * Returns a lazy array of the occurrences of an event on a NodeJS EventEmitter. The iteration
+ * finishes when one of the endOn events (default is "end") occurs, and fails when one of the
+ * errorOn events (default is "error") occurs. If the iteration callback returns a promise,
+ * events are held back until it is fulfilled, and the emitter is paused meanwhile if it has
+ * a pause() function (like streams). The listeners are removed when the iteration stops
+ * or its promise is cancelled.
+ */
+exports.events = function(emitter, eventName, options){
+	var promise = require("./promise"),
+		LazyArray = require("./lazy-array").LazyArray;
+	options = options || {};
+	return LazyArray({
+		some: function(callback){
+			var buffer = [], waiting, paused, ended, finished;
+			var removeListeners = [];
+			function cleanup(){
+				finished = true;
+				removeListeners.forEach(function(remove){
+					remove();
+				});
+				if(paused){
+					emitter.resume();
+				}
+			}
+			var deferred = promise.defer(cleanup);
+			function pause(){
+				if(typeof emitter.pause === "function" && !paused){
+					paused = true;
+					emitter.pause();
+				}
+			}
+			function resume(){
+				if(paused){
+					paused = false;
+					emitter.resume();
+				}
+			}
+			function fail(error){
+				if(!finished){
+					cleanup();
+					deferred.reject(error);
+				}
+			}
+			function deliver(){
+				while(!waiting && buffer.length && !finished){
+					var result;
+					try{
+						result = callback(buffer.shift());
+					}catch(e){
+						fail(e);
+						return;
+					}
+					if(result && typeof result.then === "function"){
+						waiting = true;
+						pause();
+						result.then(function(stop){
+							waiting = false;
+							if(stop){
+								cleanup();
+								deferred.resolve(true);
+							}
+							else{
+								resume();
+								deliver();
+							}
+						}, fail);
+						return;
+					}
+					if(result){
+						cleanup();
+						deferred.resolve(true);
+						return;
+					}
+				}
+				if(ended && !buffer.length && !waiting && !finished){
+					cleanup();
+					deferred.resolve(false);
+				}
+			}
+			removeListeners.push(listen(emitter, eventName, function(){
+				buffer.push(eventValue(arguments));
+				deliver();
+			}));
+			removeListeners.push(listen(emitter, "endOn" in options ? options.endOn : "end", function(){
+				ended = true;
+				deliver();
+			}));
+			removeListeners.push(listen(emitter, "errorOn" in options ? options.errorOn : "error", fail));
+			return deferred.promise;
+		}
+	});
+};
@@ -8,18 +8,19 @@ if(typeof console !== "undefined"){
 if(typeof process !== "undefined"){
 	exports.args = process.argv;
 	exports.env = process.env;	
-	var sys = require("" + "sys");
+	// the sys module is deprecated (and its puts() and debug() are gone), util and console replace it
+	var util = require("" + "util");
 	exports.print = function() {
 	    var buffer = [];
 	    for (var i = 0, length = arguments.length; i < length; i++) {
     	    var arg = arguments[i];
     	    if (arg) buffer.push(arg);
 	    }
-	    sys.puts(buffer.join(" "));
+	    console.log(buffer.join(" "));
 	}
 	exports.dir = function(){
 		for(var i=0,l=arguments.length;i<l;i++)
-			sys.debug(sys.inspect(arguments[i]));
+			console.error(util.inspect(arguments[i]));
 	}
 }
 else if(typeof navigator === "undefined"){
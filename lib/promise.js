@@ -45,9 +45,183 @@ define(function(require,exports){
 //		... executed when the promise fails
 //	});
 
-exports.errorTimeout = 100;	
 var freeze = Object.freeze || function(){};
 
+// timers are read from the clock, so tests can install a virtual clock
+var clock = require("./clock");
+
+/**
+ * Rejections that have no handler errorTimeout milliseconds after the promise was rejected
+ * are reported as unhandled, following the semantics Node uses for native promises:
+ * the onUnhandledRejection listeners are called and the rejection is listed in
+ * getUnhandledRejections() until a handler is attached, at which point the
+ * onRejectionHandled listeners are called. What else happens depends on rejectionPolicy:
+ * "throw" throws the reason as an uncaught exception if there are no onUnhandledRejection
+ * listeners, "log" prints it with the process module and "ignore" does nothing.
+ */
+exports.errorTimeout = 100;	
+exports.rejectionPolicy = "throw";
+
+var unhandledRejections = [],
+	unhandledListeners = [],
+	handledListeners = [];
+
+function addListener(listeners, listener){
+	listeners.push(listener);
+	return {
+		dismiss: function(){
+			var index = listeners.indexOf(listener);
+			if(index > -1){
+				listeners.splice(index, 1);
+			}
+		}
+	};
+}
+
+/**
+ * Registers a listener that is called with the reason and the promise when a rejection is unhandled
+ * @param listener	function to be called
+ * @return a signal with a dismiss() function to remove the listener
+ */
+exports.onUnhandledRejection = function(listener){
+	return addListener(unhandledListeners, listener);
+};
+
+/**
+ * Registers a listener that is called with the promise when a rejection that was
+ * reported as unhandled is handled later
+ * @param listener	function to be called
+ * @return a signal with a dismiss() function to remove the listener
+ */
+exports.onRejectionHandled = function(listener){
+	return addListener(handledListeners, listener);
+};
+
+/**
+ * Lists the rejections that are currently unhandled, for diagnostics
+ * @return an array of {promise, reason} objects
+ */
+exports.getUnhandledRejections = function(){
+	return unhandledRejections.map(function(rejection){
+		return {promise: rejection.promise, reason: rejection.reason};
+	});
+};
+
+function trackRejection(promise, reason){
+	var rejection = {promise: promise, reason: reason};
+	function check(){
+		if(!rejection.handled){
+			reportRejection(rejection);
+		}
+	}
+	if(typeof setTimeout !== "undefined"){
+		clock.setTimeout(check, exports.errorTimeout);
+	}
+	else{
+		enqueue(check);
+	}
+	return rejection;
+}
+
+function reportRejection(rejection){
+	rejection.reported = true;
+	unhandledRejections.push(rejection);
+	var listeners = unhandledListeners.concat();
+	for(var i = 0; i < listeners.length; i++){
+		listeners[i](rejection.reason, rejection.promise);
+	}
+	switch(exports.rejectionPolicy){
+		case "throw":
+			if(!listeners.length){
+				throw rejection.reason;
+			}
+			break;
+		case "log":
+			require("./process").print("Unhandled rejection:", rejection.reason && (rejection.reason.stack || rejection.reason));
+			break;
+	}
+}
+
+function rejectionHandled(rejection){
+	rejection.handled = true;
+	if(rejection.reported){
+		unhandledRejections.splice(unhandledRejections.indexOf(rejection), 1);
+		var listeners = handledListeners.concat();
+		for(var i = 0; i < listeners.length; i++){
+			listeners[i](rejection.promise);
+		}
+	}
+}
+
+/**
+ * Callbacks registered with then() are always called in a future turn, after the code
+ * that resolved (or registered with) the promise has finished, as required by Promises/A+.
+ * The scheduler determines how that future turn is requested. It may be set to
+ * "microtask" (queueMicrotask), "immediate" (setImmediate), "timeout" (setTimeout),
+ * a function that takes a task and calls it later, or "sync" (or null) to restore the
+ * legacy behavior of calling callbacks synchronously as the promise is resolved.
+ * @param scheduler	 the scheduler name or function
+ * @return the scheduler function that is now in use (null for synchronous)
+ */
+exports.setScheduler = function(scheduler){
+	if(typeof scheduler == "string"){
+		scheduler = schedulers[scheduler];
+		if(scheduler === undefined){
+			throw new Error("Unknown scheduler " + arguments[0]);
+		}
+	}
+	return exports.scheduler = scheduler || null;
+};
+var schedulers = {
+	sync: null
+};
+if(typeof queueMicrotask === "function"){
+	schedulers.microtask = function(task){
+		queueMicrotask(task);
+	};
+}
+if(typeof setImmediate === "function"){
+	schedulers.immediate = function(task){
+		setImmediate(task);
+	};
+}
+if(typeof setTimeout !== "undefined"){
+	schedulers.timeout = function(task){
+		setTimeout(task, 0);
+	};
+}
+exports.setScheduler(schedulers.microtask || schedulers.immediate || schedulers.timeout || null);
+
+// tasks waiting to be run by the scheduler, all of them are run in a single scheduled turn
+var tasks = [], taskIndex = 0, flushScheduled;
+function enqueue(task){
+	if(!exports.scheduler){
+		task();
+		return;
+	}
+	tasks.push(task);
+	if(!flushScheduled){
+		flushScheduled = true;
+		exports.scheduler(flush);
+	}
+}
+function flush(){
+	try{
+		while(taskIndex < tasks.length){
+			tasks[taskIndex++]();
+		}
+	}finally{
+		if(taskIndex < tasks.length){
+			// a task threw, run the rest in another turn
+			exports.scheduler ? exports.scheduler(flush) : flush();
+		}else{
+			tasks = [];
+			taskIndex = 0;
+			flushScheduled = false;
+		}
+	}
+}
+
 /**
  * Default constructor that creates a self-resolving Promise. Not all promise implementations
  * need to use this constructor.
@@ -86,11 +260,79 @@ Promise.prototype.put = function(propertyName, value){
 };
 
 Promise.prototype.call = function(functionName /*, args */){
+	var args = Array.prototype.slice.call(arguments, 1);
 	return this.then(function(value){
-		return value[functionName].apply(value, Array.prototype.slice.call(arguments, 1));
+		return value[functionName].apply(value, args);
 	});
 };
 
+Promise.prototype["catch"] = function(errorCallback){
+	return this.then(null, errorCallback);
+};
+
+/**
+ * Calls the callback when the promise is settled, without changing the outcome unless the
+ * callback throws (or returns a promise that is rejected). If it returns a promise, the
+ * returned promise is not settled until it is fulfilled.
+ */
+Promise.prototype["finally"] = function(callback){
+	return this.then(function(value){
+		return exports.when(callback(), function(){
+			return value;
+		});
+	}, function(error){
+		return exports.when(callback(), function(){
+			throw error;
+		});
+	});
+};
+
+/**
+ * Calls the callback with the items of the array (of values or promises) that
+ * the promise is fulfilled with as its arguments.
+ */
+Promise.prototype.spread = function(callback, errorCallback){
+	return this.then(function(array){
+		return exports.all(array).then(function(values){
+			return callback.apply(undefined, values);
+		});
+	}, errorCallback);
+};
+
+/**
+ * Calls the callback with the value of the promise and passes the value on, once
+ * the promise returned by the callback (if any) is fulfilled.
+ */
+Promise.prototype.tap = function(callback){
+	return this.then(function(value){
+		return exports.when(callback(value), function(){
+			return value;
+		});
+	});
+};
+
+Promise.prototype.timeout = function(milliseconds, message){
+	return exports.withTimeout(this, milliseconds, {message: message, cancel: true});
+};
+
+Promise.prototype.delay = function(milliseconds){
+	return this.then(function(value){
+		return exports.delay(milliseconds).then(function(){
+			return value;
+		});
+	});
+};
+
+Promise.prototype["return"] = function(value){
+	return this.then(function(){
+		return value;
+	});
+};
+
+Promise.prototype.nodeify = function(callback){
+	return exports.nodeify(this, callback);
+};
+
 /**
  * This can be used to conviently resolve a promise with auto-handling of errors:
  * setTimeout(deferred.resolverCallback(function(){
@@ -131,6 +373,125 @@ Promise.prototype.wait = function(){
 	return exports.wait(this);
 };
 
+/**
+ * Creates an error type, an Error subclass with the given name that can be
+ * distinguished from other errors with instanceof.
+ */
+function errorType(name, defaultMessage){
+	function ErrorType(message){
+		if(!(this instanceof ErrorType)){
+			return new ErrorType(message);
+		}
+		this.message = message === undefined ? defaultMessage : message;
+		if(Error.captureStackTrace){
+			Error.captureStackTrace(this, ErrorType);
+		}
+		else{
+			this.stack = new Error(this.message).stack;
+		}
+	}
+	ErrorType.prototype = new Error();
+	ErrorType.prototype.constructor = ErrorType;
+	ErrorType.prototype.name = name;
+	return ErrorType;
+}
+
+/**
+ * The reason a promise is rejected with when it is cancelled, so error handlers can tell
+ * cancellation from failure. Rejections with a CancelError are never reported as unhandled.
+ */
+var CancelError = exports.CancelError = errorType("CancelError", "Cancelled");
+
+/**
+ * The reason a promise is rejected with when it times out, the elapsed property holds
+ * the number of milliseconds that passed before it timed out.
+ */
+var TimeoutError = exports.TimeoutError = errorType("TimeoutError", "Timed out");
+
+function timeoutError(message, ms, start){
+	var error = new TimeoutError(message || "Timed out after " + ms + "ms");
+	error.elapsed = clock.now() - start;
+	return error;
+}
+
+/**
+ * The reason any() is rejected with when all the promises are rejected, the errors
+ * property holds the rejection reasons in the order of the promises.
+ */
+var AggregateError = exports.AggregateError = errorType("AggregateError", "All promises were rejected");
+
+/**
+ * Cancels the given promise if it is cancellable, ignored for any other value
+ * @param value	 the promise to cancel
+ * @param reason	the reason for cancelling
+ */
+function cancel(value, reason){
+	if(value && typeof value.cancel === "function"){
+		value.cancel(reason);
+	}
+}
+exports.cancel = cancel;
+
+function cancelAll(array, reason){
+	array.forEach(function(value){
+		cancel(value, reason);
+	});
+}
+
+/**
+ * When long stack traces are enabled, each Deferred captures the stack where it was created,
+ * and these stacks are appended to the stack of errors as they are propagated through
+ * promise chains, with frames from this module filtered out. This has a performance cost
+ * and is meant for debugging, it can be enabled with the PROMISED_IO_LONG_STACK_TRACES
+ * environment variable. At most maxStackDepth creation stacks are added to an error.
+ */
+exports.longStackTraces = false;
+exports.maxStackDepth = 10;
+try{
+	var env = require("./process").env;
+	exports.longStackTraces = !!(env && env.PROMISED_IO_LONG_STACK_TRACES);
+}catch(e){}
+
+var internalFile = (function(){
+	var match = /((?:file:\/\/)?(?:\/|[a-zA-Z]:\\)[^():]*):\d+:\d+/.exec(new Error().stack || "");
+	return match && match[1];
+})();
+
+function captureStack(){
+	var stack = new Error().stack;
+	return typeof stack === "string" ? stack : null;
+}
+
+function filterStack(stack){
+	return stack.split("\n").slice(1).filter(function(line){
+		return !(internalFile && line.indexOf(internalFile + ":") > -1) && !/\(?node:internal/.test(line);
+	}).join("\n");
+}
+
+function addLongStackTrace(error, creationStack){
+	if(!creationStack || !error || typeof error !== "object" || typeof error.stack !== "string"){
+		return;
+	}
+	var depth = error.__longStackDepth__ || 0;
+	if(depth >= exports.maxStackDepth){
+		return;
+	}
+	var frames = filterStack(creationStack);
+	if(frames){
+		try{
+			error.stack += "\nFrom previous event:\n" + frames;
+			// not enumerable, so it doesn't show up when the error is inspected or serialized
+			Object.defineProperty(error, "__longStackDepth__", {
+				value: depth + 1,
+				configurable: true,
+				writable: true
+			});
+		}catch(e){
+			// frozen or otherwise read-only error
+		}
+	}
+}
+
 Deferred.prototype = Promise.prototype;
 // A deferred provides an API for creating and resolving a promise.
 exports.Promise = exports.Deferred = exports.defer = defer;
@@ -141,16 +502,86 @@ function defer(canceller){
 // this can be set to other values
 exports.currentContext = null;
 
+/**
+ * Async context, for request-scoped data (like the current user or a trace id) that needs
+ * to survive asynchronous operations. context.run(store, fn) calls fn with the store as the
+ * current store, which context.get() returns within fn and within all the callbacks registered
+ * from there with then() (and so when(), seq(), delay() and everything based on them).
+ * Node's AsyncLocalStorage is used when it is available, so the store is also carried through
+ * other asynchronous operations. Elsewhere the store is carried through promise callbacks
+ * only, in the same way currentContext is.
+ */
+var asyncLocalStorage, currentStore, contextUsed;
+try{
+	if(typeof process !== "undefined" && process.versions && process.versions.node){
+		var AsyncLocalStorage = require("" + "async_hooks").AsyncLocalStorage;
+		asyncLocalStorage = AsyncLocalStorage && new AsyncLocalStorage();
+	}
+}catch(e){}
+exports.context = {
+	run: function(store, fn){
+		contextUsed = true;
+		return runInStore(store, fn);
+	},
+	get: function(){
+		return asyncLocalStorage ? asyncLocalStorage.getStore() : currentStore;
+	}
+};
+function runInStore(store, fn, arg){
+	if(asyncLocalStorage){
+		return asyncLocalStorage.run(store, fn, arg);
+	}
+	var previousStore = currentStore;
+	currentStore = store;
+	try{
+		return fn(arg);
+	}
+	finally{
+		currentStore = previousStore;
+	}
+}
+// calls the listener function with the store that was current when it was registered
+function inStore(listener, fn, arg){
+	if(contextUsed && listener.store !== exports.context.get()){
+		return runInStore(listener.store, fn, arg);
+	}
+	return fn(arg);
+}
+
+// The canceller is called with the reason when the promise is cancelled before it is finished,
+// it may return an error to reject the promise with instead of a CancelError.
 function Deferred(canceller){
-	var result, finished, isError, waiting = [], handled;
+	var result, finished, locked, isError, waiting = [], handled, rejection, adopting;
 	var promise = this.promise = new Promise();
 	var context = exports.currentContext;
+	var creationStack = exports.longStackTraces && captureStack();
+	var self = this;
 	
 	function notifyAll(value){
-		var previousContext = exports.currentContext;
 		if(finished){
-			throw new Error("This deferred has already been resolved");				
+			// settled early by a cancel or timeout while adopting another promise
+			return;
+		}
+		result = value;
+		finished = true;
+		if(timer){
+			clock.clearTimeout(timer);
+			timer = null;
+		}
+		var listeners = waiting;
+		waiting = [];
+		if(listeners.length){
+			enqueue(function(){
+				inContext(function(){
+					for(var i = 0; i < listeners.length; i++){
+						inStore(listeners[i], notify, listeners[i]);	
+					}
+				});
+			});
 		}
+	}
+	function inContext(callback){
+		var previousContext = exports.currentContext;
 		try{
 			if(previousContext != context){
 				exports.currentContext = context;
@@ -158,11 +589,7 @@ function Deferred(canceller){
 					context.resume();
 				}
 			}
-			result = value;
-			finished = true;
-			for(var i = 0; i < waiting.length; i++){
-				notify(waiting[i]);	
-			}
+			callback();
 		}
 		finally{
 			if(previousContext != context){
@@ -173,17 +600,23 @@ function Deferred(canceller){
 			}
 		}
 	}
+	function markHandled(){
+		handled = true;
+		if(rejection){
+			rejectionHandled(rejection);
+			rejection = null;
+		}
+	}
 	function notify(listener){
+		if(listener.cancelled){
+			markHandled();
+			return;
+		}
 		var func = (isError ? listener.error : listener.resolved);
-		if(func){
-			handled = true;
+		if(typeof func === "function"){
+			markHandled();
 				try{
-					var newResult = func(result);
-					if(newResult && typeof newResult.then === "function"){
-						newResult.then(listener.deferred.resolve, listener.deferred.reject);
-						return;
-					}
-					listener.deferred.resolve(newResult);
+					listener.deferred.resolve(func(result));
 				}
 				catch(e){
 					listener.deferred.reject(e);
@@ -191,81 +624,189 @@ function Deferred(canceller){
 		}
 		else{
 			if(isError){
-				if (listener.deferred.reject(result, true)) {
-					handled = true;
-					}
+				// the derived promise takes over responsibility for the error
+				markHandled();
+				listener.deferred.reject(result);
 			}
 			else{
 				listener.deferred.resolve.call(listener.deferred, result);
 			}
 		}
 	}
+	// the Promises/A+ resolution procedure, adopting the state of thenables. It departs from
+	// the spec (2.3.3.3.1, which would run the procedure again and never finish) for a
+	// thenable that fulfills with itself, like an open fs File or a RemoteObject: the
+	// thenable becomes the value.
+	function resolution(value){
+		if(value === promise){
+			fail(new TypeError("A promise can not be resolved with itself"));
+			return;
+		}
+		if(value && (typeof value === "object" || typeof value === "function")){
+			var called;
+			try{
+				var then = value.then;
+				if(typeof then === "function"){
+					adopting = value;
+					then.call(value, function(newValue){
+						if(!called){
+							called = true;
+							adopting = null;
+							if(newValue === value){
+								notifyAll(value);
+							}
+							else{
+								resolution(newValue);
+							}
+						}
+					}, function(error){
+						if(!called){
+							called = true;
+							adopting = null;
+							fail(error);
+						}
+					}, function(update){
+						if(!called){
+							self.progress(update);
+						}
+					});
+					return;
+				}
+			}catch(e){
+				if(!called){
+					called = true;
+					fail(e);
+				}
+				return;
+			}
+		}
+		notifyAll(value);
+	}
+	function lock(){
+		if(locked){
+			throw new Error("This deferred has already been resolved");				
+		}
+		locked = true;
+	}
 	// calling resolve will resolve the promise
 	this.resolve = this.callback = this.emitSuccess = function(value){
-		notifyAll(value);
+		lock();
+		resolution(value);
 	};
 	
 	// calling error will indicate that the promise failed
 	var reject = this.reject = this.errback = this.emitError = function(error, dontThrow){
+		lock();
+		return fail(error, dontThrow);
+	};
+	function fail(error, dontThrow){
+		if(finished){
+			return handled;
+		}
 		isError = true;
+		if(creationStack){
+			addLongStackTrace(error, creationStack);
+		}
 		notifyAll(error);
-		if (!dontThrow && typeof setTimeout !== "undefined") {
-			setTimeout(function () {
-				if (!handled) {
-					throw error;
-				}
-			}, exports.errorTimeout);
+		if (!dontThrow && !handled && !(error instanceof CancelError)) {
+			rejection = trackRejection(promise, error);
 		}
 		return handled;
 	};
 	
+	// synchronous inspection of the state of the promise
+	this.isPending = promise.isPending = function(){
+		return !finished;
+	};
+	this.isFulfilled = promise.isFulfilled = function(){
+		return !!finished && !isError;
+	};
+	this.isRejected = promise.isRejected = function(){
+		return !!finished && !!isError;
+	};
+	this.inspect = promise.inspect = function(){
+		return !finished ? {state: "pending"} :
+			isError ? {state: "rejected", reason: result} :
+			{state: "fulfilled", value: result};
+	};
+
 	// call progress to provide updates on the progress on the completion of the promise
 	this.progress = function(update){
 		for(var i = 0; i < waiting.length; i++){
-			var progress = waiting[i].progress;
-			progress && progress(update);	
+			var progress = !waiting[i].cancelled && waiting[i].progress;
+			typeof progress === "function" && inStore(waiting[i], progress, update);	
 		}
 	}
 	// provide the implementation of the promise
 	this.then = promise.then = function(resolvedCallback, errorCallback, progressCallback){
-		var returnDeferred = new Deferred(promise.cancel);
-		var listener = {resolved: resolvedCallback, error: errorCallback, progress: progressCallback, deferred: returnDeferred}; 
+		var listener = {resolved: resolvedCallback, error: errorCallback, progress: progressCallback,
+			store: contextUsed ? exports.context.get() : undefined};
+		var returnDeferred = listener.deferred = new Deferred(function(reason){
+			// the consumer is no longer interested, cancel this promise too if no one else is waiting
+			// on it. The listener stays registered as a handler, so that a rejection of a promise that
+			// can not be cancelled is not reported as unhandled.
+			if(!listener.cancelled && waiting.indexOf(listener) > -1){
+				listener.cancelled = true;
+				for(var i = 0; i < waiting.length; i++){
+					if(!waiting[i].cancelled){
+						return;
+					}
+				}
+				cancel(promise, reason);
+			}
+			listener.cancelled = true;
+		});
 		if(finished){
-			notify(listener);
+			enqueue(function(){
+				inContext(function(){
+					inStore(listener, notify, listener);
+				});
+			});
 		}
 		else{
 			waiting.push(listener);
 		}
 		return returnDeferred.promise;
 	};
-	var timeout;
+	var timeout, timer;
 	if(typeof setTimeout !== "undefined") {
+		// rejects the promise (cancelling it if possible) with a TimeoutError if it is not finished
+		// within the given milliseconds, calling it again replaces the previous timeout
 		this.timeout = function (ms) {
 			if (ms === undefined) {
 				return timeout;
 			}
 			timeout = ms;
-			setTimeout(function () {
-				if (!finished) {
+			if (!finished) {
+				clock.clearTimeout(timer);
+				var start = clock.now();
+				timer = clock.setTimeout(function () {
+					timer = null;
+					var error = timeoutError(null, ms, start);
 					if (promise.cancel) {
-						promise.cancel(new Error("timeout"));
+						promise.cancel(error);
 					}
 					else {
-						reject(new Error("timeout"));
+						fail(error);
 					}
-				}
-			}, ms);
+				}, ms);
+			}
 			return promise;
 		};
 	}
 	
 	if(canceller){
-		this.cancel = promise.cancel = function(){
-			var error = canceller();
+		this.cancel = promise.cancel = function(reason){
+			if(finished){
+				return;
+			}
+			var error = canceller(reason);
 			if(!(error instanceof Error)){
-				error = new Error(error);
+				error = error !== undefined ? new CancelError(error) :
+					reason instanceof Error ? reason : new CancelError(reason);
 			}
-			reject(error);
+			cancel(adopting, error);
+			fail(error);
 		}
 	}
 	freeze(promise);
@@ -307,7 +848,9 @@ function rethrow(err){ throw err; }
  * @return promise for the return value from the invoked callback
  */
 exports.whenPromise = function(value, resolvedCallback, rejectCallback, progressCallback){
-	var deferred = defer();
+	var deferred = defer(function(reason){
+		cancel(value, reason);
+	});
 	if(value && typeof value.then === "function"){
 		value.then(function(next){
 			deferred.resolve(next);
@@ -335,6 +878,9 @@ exports.when = function(value, resolvedCallback, rejectCallback, progressCallbac
 				if(value instanceof Promise){
 						return value.then(resolvedCallback, rejectCallback, progressCallback);
 				}
+				else if(isNative(value)){
+						return exports.from(value).then(resolvedCallback, rejectCallback, progressCallback);
+				}
 				else{
 						return exports.whenPromise(value, resolvedCallback, rejectCallback, progressCallback);
 				}
@@ -342,6 +888,105 @@ exports.when = function(value, resolvedCallback, rejectCallback, progressCallbac
 		return resolvedCallback ? resolvedCallback(value) : value;
 };
 
+var NativePromise = typeof global !== "undefined" ? global.Promise :
+	typeof window !== "undefined" ? window.Promise : undefined;
+function isNative(value){
+	return typeof NativePromise === "function" && value instanceof NativePromise;
+}
+
+/**
+ * Converts a value, native promise or any other thenable to a promise from this module.
+ * A promise from this module is returned as is. The cancel function of the given
+ * thenable, if it has one, is available on the returned promise.
+ * @param value	 promise, thenable or value to convert
+ * @return a promise for the value
+ */
+exports.from = function(value){
+	if(value instanceof Promise){
+		return value;
+	}
+	var deferred = new Deferred(value && typeof value.cancel === "function" && function(reason){
+		// a thenable is cancelled by the deferred that adopts it, a native promise is not adopted
+		if(isNative(value)){
+			value.cancel(reason);
+		}
+	});
+	if(isNative(value)){
+		// native promises are trusted to follow the resolution rules
+		value.then(deferred.resolve, deferred.reject);
+	}
+	else{
+		deferred.resolve(value);
+	}
+	return deferred.promise;
+};
+
+/**
+ * Converts a promise (or value) to a native Promise, for use with code that expects
+ * native promises. Progress updates are passed to the optional progress callback and
+ * the cancel function of the promise is available on the returned native promise.
+ * @param value	 promise or value to convert
+ * @param progressCallback	function to be called when progress is made
+ * @return a native Promise for the value
+ */
+exports.toNative = function(value, progressCallback){
+	if(typeof NativePromise !== "function"){
+		throw new Error("Native promises are not available");
+	}
+	var nativePromise = new NativePromise(function(resolve, reject){
+		if(value && typeof value.then === "function"){
+			value.then(resolve, reject, progressCallback);
+		}
+		else{
+			resolve(value);
+		}
+	});
+	if(value && typeof value.cancel === "function"){
+		nativePromise.cancel = function(reason){
+			return value.cancel(reason);
+		};
+	}
+	return nativePromise;
+};
+
+/**
+ * Synchronously inspects the state of a promise or value. Plain values are considered
+ * fulfilled, thenables that can not be inspected are considered pending.
+ * @param value	 promise or value to inspect
+ * @return {state: "pending"}, {state: "fulfilled", value: value} or {state: "rejected", reason: reason}
+ */
+exports.inspect = function(value){
+	if(value && typeof value.then === "function"){
+		return typeof value.inspect === "function" && value instanceof Promise ?
+			value.inspect() : {state: "pending"};
+	}
+	return {state: "fulfilled", value: value};
+};
+
+/**
+ * Indicates if the promise (or value) has not been fulfilled or rejected yet
+ * @param value	 promise or value to inspect
+ */
+exports.isPending = function(value){
+	return exports.inspect(value).state == "pending";
+};
+
+/**
+ * Indicates if the promise (or value) has been fulfilled
+ * @param value	 promise or value to inspect
+ */
+exports.isFulfilled = function(value){
+	return exports.inspect(value).state == "fulfilled";
+};
+
+/**
+ * Indicates if the promise (or value) has been rejected
+ * @param value	 promise or value to inspect
+ */
+exports.isRejected = function(value){
+	return exports.inspect(value).state == "rejected";
+};
+
 /**
  * This is convenience function for catching synchronously and asynchronously thrown
  * errors. This is used like when() except you execute the initial action in a callback:
@@ -381,7 +1026,7 @@ exports.get = function(target, property){
  */
 exports.call = function(target, methodName, args){
 	return perform(target, function(target){
-		return target.call(methodName, args);
+		return target.call.apply(target, [methodName].concat(args || []));
 	},
 	function(target){
 		return target[methodName].apply(target, args);
@@ -447,32 +1092,52 @@ exports.wait = function(target){
 };
 
 
+// values that are not promises are wrapped in one, so that their callbacks (and the progress
+// reported from them) are called in a later turn, once the caller is listening
+function eventually(value){
+	return value && typeof value.then === "function" ? value : exports.from(value);
+}
 
 /**
  * Takes an array of promises and returns a promise that is fulfilled once all
- * the promises in the array are fulfilled
+ * the promises in the array are fulfilled. Progress is reported as {index, update, completed, total}
+ * objects as the promises progress and as {index, completed, total} objects as they are fulfilled.
  * @param array	The array of promises
  * @return the promise that is fulfilled when all the array is fulfilled, resolved to the array of results
  */
 exports.all = function(array){
-	var deferred = new Deferred();
 	if(!(array instanceof Array)){
 		array = Array.prototype.slice.call(arguments);
 	}
-	var fulfilled = 0, length = array.length;
+	var observers = [];
+	var deferred = new Deferred(function(reason){
+		cancelAll(observers, reason);
+	});
+	var fulfilled = 0, length = array.length, failed;
 	var results = [];
 	if (length === 0) deferred.resolve(results);
 	else {	
 		array.forEach(function(promise, index){
-			exports.when(promise, 
+			observers[index] = exports.when(eventually(promise),
 				function(value){
 					results[index] = value;
 					fulfilled++;
+					deferred.progress({index: index, completed: fulfilled, total: length});
 					if(fulfilled === length){
 						deferred.resolve(results);
 					}
 				},
-				deferred.reject);
+				function(error){
+					if(!failed){
+						failed = true;
+						deferred.reject(error);
+						// the remaining results are no longer needed
+						cancelAll(observers);
+					}
+				},
+				function(update){
+					deferred.progress({index: index, update: update, completed: fulfilled, total: length});
+				});
 		});
 	}
 	return deferred.promise;
@@ -480,27 +1145,42 @@ exports.all = function(array){
 
 /**
  * Takes a hash of promises and returns a promise that is fulfilled once all
- * the promises in the hash keys are fulfilled
+ * the promises in the hash keys are fulfilled. Progress is reported like with all(),
+ * with a key property instead of an index.
  * @param hash	The hash of promises
  * @return the promise that is fulfilled when all the hash keys is fulfilled, resolved to the hash of results
  */
 exports.allKeys = function(hash){
-	var deferred = new Deferred();
+	var observers = [];
+	var deferred = new Deferred(function(reason){
+		cancelAll(observers, reason);
+	});
 	var array = Object.keys(hash);
-	var fulfilled = 0, length = array.length;
+	var fulfilled = 0, length = array.length, failed;
 	var results = {};
 	if (length === 0) deferred.resolve(results);
 	else {
 		array.forEach(function(key){
-			exports.when(hash[key],
+			observers.push(exports.when(eventually(hash[key]),
 				function(value){
 					results[key] = value;
 					fulfilled++;
+					deferred.progress({key: key, completed: fulfilled, total: length});
 					if(fulfilled === length){
 						deferred.resolve(results);
 					}
 				},
-				deferred.reject);
+				function(error){
+					if(!failed){
+						failed = true;
+						deferred.reject(error);
+						// the remaining results are no longer needed
+						cancelAll(observers);
+					}
+				},
+				function(update){
+					deferred.progress({key: key, update: update, completed: fulfilled, total: length});
+				}));
 		});
 	}
 	return deferred.promise;
@@ -508,47 +1188,200 @@ exports.allKeys = function(hash){
 
 /**
  * Takes an array of promises and returns a promise that is fulfilled when the first 
- * promise in the array of promises is fulfilled
+ * promise in the array of promises is fulfilled. For compatibility, the promise is also
+ * fulfilled (not rejected) with the reason of the first promise to be rejected,
+ * use race() for a promise that is rejected in that case.
  * @param array	The array of promises
  * @return a promise that is fulfilled with the value of the value of first promise to be fulfilled
  */
 exports.first = function(array){
-	var deferred = new Deferred();
 	if(!(array instanceof Array)){
 		array = Array.prototype.slice.call(arguments);
 	}
+	var observers = [];
+	var deferred = new Deferred(function(reason){
+		cancelAll(observers, reason);
+	});
 	var fulfilled;
+	function finish(value){
+		if (!fulfilled) {
+			fulfilled = true;
+			deferred.resolve(value);
+			// the losing promises are no longer needed
+			cancelAll(observers);
+		}	
+	}
+	array.forEach(function(promise, index){
+		observers[index] = exports.when(promise, finish, finish);
+	});
+	if(fulfilled){
+		// a value that is not a promise won right away, before the promises after it were observed
+		cancelAll(observers);
+	}
+	return deferred.promise;
+};
+
+/**
+ * Takes an array of promises and returns a promise that is settled the same way as the first
+ * promise in the array to be settled. Unlike first(), a rejection rejects the returned promise.
+ * The remaining promises are cancelled once it is settled.
+ * @param array	The array of promises
+ * @return a promise that is settled like the first promise to be settled
+ */
+exports.race = function(array){
+	if(!(array instanceof Array)){
+		array = Array.prototype.slice.call(arguments);
+	}
+	var observers = [];
+	var deferred = new Deferred(function(reason){
+		cancelAll(observers, reason);
+	});
+	var settled;
 	array.forEach(function(promise, index){
-		exports.when(promise, function(value){
-			if (!fulfilled) {
-				fulfilled = true;
+		observers[index] = exports.when(promise, function(value){
+			if(!settled){
+				settled = true;
 				deferred.resolve(value);
-			}	
+				cancelAll(observers);
+			}
 		},
 		function(error){
-			if (!fulfilled) {
-				fulfilled = true;
-				deferred.resolve(error);
-			}	
+			if(!settled){
+				settled = true;
+				deferred.reject(error);
+				cancelAll(observers);
+			}
+		});
+	});
+	if(settled){
+		// settled by a value that is not a promise, before the promises after it were observed
+		cancelAll(observers);
+	}
+	return deferred.promise;
+};
+
+/**
+ * Takes an array of promises and returns a promise that is fulfilled with the value of the first
+ * promise to be fulfilled, after which the remaining promises are cancelled. If all of the
+ * promises are rejected, the returned promise is rejected with an AggregateError
+ * holding all the rejection reasons.
+ * @param array	The array of promises
+ * @return a promise that is fulfilled with the value of the first promise to be fulfilled
+ */
+exports.any = function(array){
+	if(!(array instanceof Array)){
+		array = Array.prototype.slice.call(arguments);
+	}
+	var observers = [];
+	var deferred = new Deferred(function(reason){
+		cancelAll(observers, reason);
+	});
+	var rejected = 0, length = array.length, fulfilled;
+	var errors = [];
+	function reject(){
+		var error = new AggregateError();
+		error.errors = errors;
+		deferred.reject(error);
+	}
+	if (length === 0) reject();
+	else {
+		array.forEach(function(promise, index){
+			observers[index] = exports.when(promise, function(value){
+				if(!fulfilled){
+					fulfilled = true;
+					deferred.resolve(value);
+					cancelAll(observers);
+				}
+			},
+			function(error){
+				errors[index] = error;
+				rejected++;
+				if(rejected === length){
+					reject();
+				}
+			});
 		});
+		if(fulfilled){
+			// fulfilled by a value that is not a promise, before the promises after it were observed
+			cancelAll(observers);
+		}
+	}
+	return deferred.promise;
+};
+
+/**
+ * Takes an array or a hash of promises and returns a promise that is fulfilled once all
+ * the promises are settled, whether they are fulfilled or rejected. It is never rejected.
+ * @param arrayOrHash	The array or hash of promises
+ * @return the promise that is fulfilled with an array or hash of
+ * {status: "fulfilled", value: value} and {status: "rejected", reason: reason} records
+ */
+exports.allSettled = function(arrayOrHash){
+	var keys = arrayOrHash instanceof Array ? arrayOrHash.map(function(value, index){
+		return index;
+	}) : Object.keys(arrayOrHash);
+	var observers = [];
+	var deferred = new Deferred(function(reason){
+		cancelAll(observers, reason);
 	});
+	var settled = 0, length = keys.length;
+	var results = arrayOrHash instanceof Array ? [] : {};
+	function settle(key, record){
+		results[key] = record;
+		settled++;
+		if(settled === length){
+			deferred.resolve(results);
+		}
+	}
+	if (length === 0) deferred.resolve(results);
+	else {
+		keys.forEach(function(key){
+			observers.push(exports.when(arrayOrHash[key], function(value){
+				settle(key, {status: "fulfilled", value: value});
+			},
+			function(error){
+				settle(key, {status: "rejected", reason: error});
+			}));
+		});
+	}
 	return deferred.promise;
 };
 
 /**
  * Takes an array of asynchronous functions (that return promises) and 
- * executes them sequentially. Each funtion is called with the return value of the last function
+ * executes them sequentially. Each funtion is called with the return value of the last function.
+ * Progress is reported like with all(), with the index of the function.
  * @param array	The array of function
  * @param startingValue The value to pass to the first function
  * @return the value returned from the last function
  */
 exports.seq = function(array, startingValue){
 	array = array.concat(); // make a copy
-	var deferred = new Deferred();
+	var current, cancelled, index = -1, total = array.length;
+	var deferred = new Deferred(function(reason){
+		cancelled = true;
+		cancel(current, reason);
+	});
 	function next(value){
+		if(cancelled){
+			return;
+		}
+		if(index > -1){
+			deferred.progress({index: index, completed: index + 1, total: total});
+		}
 		var nextAction = array.shift();
 		if(nextAction){
-			exports.when(nextAction(value), next, deferred.reject);
+			var step = ++index;
+			try{
+				current = nextAction(value);
+			}catch(e){
+				current = null;
+				deferred.reject(e);
+				return;
+			}
+			exports.when(eventually(current), next, deferred.reject, function(update){
+				deferred.progress({index: step, update: update, completed: step, total: total});
+			});
 		}
 		else {
 			deferred.resolve(value);
@@ -558,6 +1391,211 @@ exports.seq = function(array, startingValue){
 	return deferred.promise;
 };
 
+// Iterates through an array or a lazy array (anything with a some() function). Like with
+// lazy arrays, the callback can return true to stop the iteration or a promise to pause it
+// until the promise is fulfilled (with true to stop).
+function iterate(array, callback){
+	if(!Array.isArray(array)){
+		return array.some(callback);
+	}
+	var i = 0;
+	function loop(){
+		while(i < array.length){
+			var result = callback(array[i++]);
+			if(result && typeof result.then === "function"){
+				return result.then(function(stop){
+					return stop || loop();
+				});
+			}
+			if(result){
+				return true;
+			}
+		}
+	}
+	return loop();
+}
+
+/**
+ * Calls the given function with each item of an array or lazy array (or a promise for either),
+ * with at most the given number of returned promises pending at the same time. Lazy arrays are
+ * not read further while the limit is reached. No more functions are called once one
+ * of them fails. Progress is reported as {index, update, completed, total} objects
+ * as the individual promises progress and finish.
+ * @param array	The array or lazy array of items
+ * @param fn	The function to call with each item and its index, may return a promise
+ * @param options	{concurrency: maximum number of pending promises (default is no limit)}
+ * @return a promise for the array of the values returned from the function, in the order of the items
+ */
+exports.map = function(array, fn, options){
+	var concurrency = (options && options.concurrency) || Infinity;
+	var results = [], running = [], active = 0, launched = 0, completed = 0,
+		total, source, slot, exhausted, failed, done;
+	var deferred = new Deferred(function(reason){
+		failed = true;
+		release(true);
+		cancel(source, reason);
+		cancelAll(running, reason);
+	});
+	function release(stop){
+		if(slot){
+			var waiting = slot;
+			slot = null;
+			waiting.resolve(stop);
+		}
+	}
+	function finish(){
+		if(exhausted && active === 0 && !failed && !done){
+			done = true;
+			deferred.resolve(results);
+		}
+	}
+	function fail(error){
+		if(!failed){
+			failed = true;
+			deferred.reject(error);
+			release(true);
+			// the remaining results are no longer needed
+			cancelAll(running);
+		}
+	}
+	exports.when(array, function(array){
+		total = Array.isArray(array) ? array.length : undefined;
+		source = iterate(array, function(item){
+			if(failed){
+				return true;
+			}
+			var index = launched++, result;
+			active++;
+			try{
+				result = fn(item, index);
+			}catch(e){
+				fail(e);
+				return true;
+			}
+			running[index] = exports.when(eventually(result), function(value){
+				results[index] = value;
+				delete running[index];
+				active--;
+				completed++;
+				deferred.progress({index: index, completed: completed, total: total});
+				release(false);
+				finish();
+			}, fail, function(update){
+				deferred.progress({index: index, update: update, completed: completed, total: total});
+			});
+			if(active >= concurrency && !failed){
+				slot = defer();
+				return slot.promise;
+			}
+		});
+		exports.when(source, function(){
+			exhausted = true;
+			finish();
+		}, fail);
+	}, fail);
+	return deferred.promise;
+};
+
+/**
+ * Like map(), but calls the function with the next item only after the promise
+ * returned for the previous item is fulfilled.
+ * @param array	The array or lazy array of items
+ * @param fn	The function to call with each item and its index, may return a promise
+ * @return a promise for the array of the values returned from the function
+ */
+exports.mapSeries = function(array, fn){
+	return exports.map(array, fn, {concurrency: 1});
+};
+
+/**
+ * Calls the given function with each item of an array or lazy array, like map(), and
+ * returns a promise for the items for which the function returned (a promise for) a truthy value.
+ * @param array	The array or lazy array of items
+ * @param fn	The function to call with each item and its index, may return a promise
+ * @param options	{concurrency: maximum number of pending promises (default is no limit)}
+ * @return a promise for the array of the included items, in their original order
+ */
+exports.filter = function(array, fn, options){
+	var items = [];
+	return exports.map(array, function(item, index){
+		items[index] = item;
+		return fn(item, index);
+	}, options).then(function(included){
+		return items.filter(function(item, index){
+			return included[index];
+		});
+	});
+};
+
+/**
+ * Reduces an array or lazy array to a single value, calling the given function with the
+ * accumulated value, each item and its index. If the function returns a promise, the next
+ * item is not processed until it is fulfilled.
+ * @param array	The array or lazy array of items
+ * @param fn	The function to call with the accumulated value, the item and its index
+ * @param initialValue	The initial accumulated value (or a promise for it), if omitted
+ * the first item is used
+ * @return a promise for the final accumulated value
+ */
+exports.reduce = function(array, fn, initialValue){
+	var hasInitialValue = arguments.length > 2, index = 0,
+		accumulator, current, source, failed;
+	var deferred = new Deferred(function(reason){
+		failed = true;
+		cancel(current, reason);
+		cancel(source, reason);
+	});
+	function fail(error){
+		if(!failed){
+			failed = true;
+			deferred.reject(error);
+		}
+	}
+	exports.when(exports.all([array, initialValue]), function(values){
+		accumulator = values[1];
+		source = iterate(values[0], function(item){
+			if(failed){
+				return true;
+			}
+			var itemIndex = index++;
+			if(!hasInitialValue){
+				hasInitialValue = true;
+				accumulator = item;
+				return;
+			}
+			var result;
+			try{
+				result = fn(accumulator, item, itemIndex);
+			}catch(e){
+				fail(e);
+				return true;
+			}
+			if(result && typeof result.then === "function"){
+				current = result;
+				return exports.when(result, function(value){
+					accumulator = value;
+				}, function(error){
+					fail(error);
+					return true;
+				}, function(update){
+					deferred.progress({index: itemIndex, update: update});
+				});
+			}
+			accumulator = result;
+		});
+		exports.when(source, function(){
+			if(!failed){
+				if(hasInitialValue){
+					deferred.resolve(accumulator);
+				}else{
+					fail(new TypeError("Reduce of empty array with no initial value"));
+				}
+			}
+		}, fail);
+	}, fail);
+	return deferred.promise;
+};
+
 
 /**
  * Delays for a given amount of time and then fulfills the returned promise.
@@ -566,40 +1604,420 @@ exports.seq = function(array, startingValue){
  */
 if(typeof setTimeout !== "undefined") {
 	exports.delay = function(milliseconds) {
-		var deferred = new Deferred();
-		setTimeout(function(){
+		var deferred = new Deferred(function(){
+			clock.clearTimeout(timer);
+		});
+		var timer = clock.setTimeout(function(){
 			deferred.resolve();
 		}, milliseconds);
 		return deferred.promise;
 	};
 }
 
+/**
+ * Returns a promise that is settled like the given promise, or rejected with a TimeoutError
+ * if the given promise is not settled within the given time. The timer is cleared as soon
+ * as the promise is settled.
+ * @param value	 promise or value to wait for
+ * @param milliseconds	The number of milliseconds to wait
+ * @param options	{message: the message of the TimeoutError,
+ *	cancel: true to cancel the given promise when it times out}
+ * @return a promise for the value
+ */
+exports.withTimeout = function(value, milliseconds, options){
+	options = options || {};
+	var settled, start = clock.now();
+	var deferred = new Deferred(function(reason){
+		clock.clearTimeout(timer);
+		cancel(value, reason);
+	});
+	var timer = clock.setTimeout(function(){
+		if(!settled){
+			settled = true;
+			var error = timeoutError(options.message, milliseconds, start);
+			deferred.reject(error);
+			if(options.cancel){
+				cancel(value, error);
+			}
+		}
+	}, milliseconds);
+	exports.when(value, function(result){
+		if(!settled){
+			settled = true;
+			clock.clearTimeout(timer);
+			deferred.resolve(result);
+		}
+	}, function(error){
+		if(!settled){
+			settled = true;
+			clock.clearTimeout(timer);
+			deferred.reject(error);
+		}
+	}, deferred.progress);
+	return deferred.promise;
+};
 
+/**
+ * Memoizes a promise returning function. Calls with the same key share the promise of the
+ * first call while it is pending (and afterwards while it is cached), so concurrent callers
+ * don't repeat the work. Each caller gets its own promise, so a caller cancelling doesn't
+ * affect the others.
+ * @param fn	The function to memoize
+ * @param options	{
+ *	key: function that computes the cache key from the arguments (default is the JSON of the arguments),
+ *	ttl: milliseconds a fulfilled value stays cached (default is no expiration),
+ *	maxEntries: the maximum number of cached entries, the least recently used ones are evicted first,
+ *	cacheRejections: true to cache rejected promises too, they are removed by default
+ * }
+ * @return the memoized function, which has clear() and delete() functions for invalidation,
+ * delete() takes the same arguments as the function and removes the entry for their key
+ */
+exports.memoize = function(fn, options){
+	options = options || {};
+	var key = options.key || function(){
+		return JSON.stringify(Array.prototype.slice.call(arguments));
+	};
+	// entries are kept in order of use, keys are prefixed so they are never array indices
+	var entries = {}, count = 0;
+	function remove(cacheKey, entry){
+		if(entries[cacheKey] && (!entry || entries[cacheKey] === entry)){
+			delete entries[cacheKey];
+			count--;
+		}
+	}
+	var memoized = function(){
+		var cacheKey = "#" + key.apply(this, arguments),
+			entry = entries[cacheKey];
+		if(entry && entry.expires !== undefined && entry.expires <= clock.now()){
+			remove(cacheKey);
+			entry = null;
+		}
+		if(entry){
+			// move it to the end, as the most recently used
+			delete entries[cacheKey];
+			entries[cacheKey] = entry;
+		}
+		else{
+			entry = {value: fn.apply(this, arguments)};
+			entries[cacheKey] = entry;
+			count++;
+			if(options.maxEntries && count > options.maxEntries){
+				for(var oldest in entries){
+					remove(oldest);
+					break;
+				}
+			}
+			exports.when(entry.value, function(){
+				if(options.ttl){
+					entry.expires = clock.now() + options.ttl;
+				}
+			}, function(){
+				if(!options.cacheRejections){
+					remove(cacheKey, entry);
+				}
+			});
+		}
+		var value = entry.value;
+		return value instanceof Promise ? value.then() : value;
+	};
+	memoized.clear = function(){
+		entries = {};
+		count = 0;
+	};
+	memoized["delete"] = function(){
+		remove("#" + key.apply(this, arguments));
+	};
+	return memoized;
+};
 
 /**
- * Runs a function that takes a callback, but returns a Promise instead.
- * @param func	 node compatible async function which takes a callback as its last argument
- * @return promise for the return value from the callback from the function
+ * Calls the given function until the promise it returns is fulfilled, waiting with exponential
+ * backoff between the attempts. Progress is reported as {attempt} objects when an attempt starts
+ * and as {attempt, update} objects for the progress of an attempt. The first attempt starts in
+ * a later turn, so that its progress can be listened to. Cancelling the returned promise cancels
+ * the pending attempt or the wait for the next one.
+ * @param fn	The function to call, it is called with the attempt number (starting at 1)
+ * @param options	{
+ *	retries: the number of retries after the first attempt (default 3),
+ *	minDelay: milliseconds to wait before the first retry (default 100),
+ *	maxDelay: the maximum milliseconds to wait between attempts (default no maximum),
+ *	factor: the multiplier of the wait for each following retry (default 2),
+ *	jitter: true to wait a random time up to the computed delay, or a fraction
+ *		by which the computed delay is randomly reduced (default none),
+ *	shouldRetry: function called with the error and attempt number, return false to stop retrying,
+ *	onRetry: function called with the error, attempt number and delay before waiting to retry
+ * }
+ * @return a promise for the value of the first successful attempt, or rejected with the last
+ * error, which has an attempts property with the number of attempts made
  */
-exports.execute = function(asyncFunction){
-	var args = Array.prototype.slice.call(arguments, 1);
+exports.retry = function(fn, options){
+	options = options || {};
+	var retries = "retries" in options ? options.retries : 3,
+		minDelay = "minDelay" in options ? options.minDelay : 100,
+		maxDelay = "maxDelay" in options ? options.maxDelay : Infinity,
+		factor = "factor" in options ? options.factor : 2,
+		jitter = options.jitter === true ? 1 : options.jitter || 0,
+		attempt = 0, current, cancelled;
+	var deferred = new Deferred(function(reason){
+		cancelled = true;
+		cancel(current, reason);
+	});
+	function fail(error){
+		if(error && typeof error === "object"){
+			try{
+				error.attempts = attempt;
+			}catch(e){}
+		}
+		deferred.reject(error);
+	}
+	function next(){
+		if(cancelled){
+			return;
+		}
+		attempt++;
+		deferred.progress({attempt: attempt});
+		try{
+			current = fn(attempt);
+		}catch(e){
+			current = null;
+			failed(e);
+			return;
+		}
+		var thisAttempt = attempt;
+		exports.when(current, deferred.resolve, failed, function(update){
+			deferred.progress({attempt: thisAttempt, update: update});
+		});
+	}
+	function failed(error){
+		if(cancelled){
+			return;
+		}
+		try{
+			if(attempt > retries || (options.shouldRetry && options.shouldRetry(error, attempt) === false)){
+				fail(error);
+				return;
+			}
+			var wait = Math.min(maxDelay, minDelay * Math.pow(factor, attempt - 1));
+			if(jitter){
+				wait = wait * (1 - jitter * Math.random());
+			}
+			if(options.onRetry){
+				options.onRetry(error, attempt, wait);
+			}
+		}catch(e){
+			fail(e);
+			return;
+		}
+		current = exports.delay(wait);
+		current.then(next);
+	}
+	enqueue(next);
+	return deferred.promise;
+};
 
-	var deferred = new Deferred();
-	args.push(function(error, result){
+
+// Calls call() repeatedly, passing each value (or the value of each returned promise) to
+// next(), which returns true to go on. Values that are available right away are handled in
+// a loop instead of by recursion, so that long loops don't grow the stack.
+function loop(call, next, fail){
+	function run(){
+		while(true){
+			var value;
+			try{
+				value = call();
+			}catch(e){
+				fail(e);
+				return;
+			}
+			if(value && typeof value.then === "function"){
+				var waiting = true, resumed = false;
+				exports.when(value, function(value){
+					if(next(value)){
+						if(waiting){
+							resumed = true;
+						}else{
+							run();
+						}
+					}
+				}, fail);
+				waiting = false;
+				if(!resumed){
+					return;
+				}
+			}
+			else if(!next(value)){
+				return;
+			}
+		}
+	}
+	run();
+}
+
+/**
+ * Calls the body function as long as the test function returns a truthy value. Both can
+ * return promises, the test is not called again until the promise returned by the body is
+ * fulfilled. Cancelling the returned promise stops the loop and cancels the pending promise.
+ * @param test	The function called before each iteration
+ * @param body	The function called for each iteration
+ * @return a promise for the value returned by the last call of the body
+ */
+exports.whilst = function(test, body){
+	var testing = true, current, result, cancelled;
+	var deferred = new Deferred(function(reason){
+		cancelled = true;
+		cancel(current, reason);
+	});
+	loop(function(){
+		return current = testing ? test() : body();
+	}, function(value){
+		if(cancelled){
+			return false;
+		}
+		if(testing && !value){
+			deferred.resolve(result);
+			return false;
+		}
+		if(!testing){
+			result = value;
+		}
+		testing = !testing;
+		return true;
+	}, function(error){
+		if(!cancelled){
+			deferred.reject(error);
+		}
+	});
+	return deferred.promise;
+};
+
+/**
+ * Like whilst(), but calls the body function until the test function returns a truthy value
+ * @param test	The function called before each iteration
+ * @param body	The function called for each iteration
+ * @return a promise for the value returned by the last call of the body
+ */
+exports.until = function(test, body){
+	return exports.whilst(function(){
+		return exports.when(test(), function(value){
+			return !value;
+		});
+	}, body);
+};
+
+/**
+ * Calls the given function the given number of times, like map() over the indexes.
+ * @param n	The number of times to call the function
+ * @param fn	The function to call with the index, may return a promise
+ * @param options	{concurrency: maximum number of pending promises (default is no limit)}
+ * @return a promise for the array of the values returned from the function
+ */
+exports.times = function(n, fn, options){
+	var indexes = [];
+	for(var i = 0; i < n; i++){
+		indexes.push(i);
+	}
+	return exports.map(indexes, function(index){
+		return fn(index);
+	}, options);
+};
+
+/**
+ * Calls the given function until the value it returns satisfies the until function,
+ * waiting between the calls. An error thrown by the function (or a rejected promise
+ * returned from it) stops polling and rejects the returned promise.
+ * @param fn	The function to call with the attempt number, may return a promise
+ * @param options	{
+ *	interval: milliseconds to wait after each unsuccessful attempt (default 100),
+ *	until: function called with each value, returns (a promise for) true to stop polling
+ *		(default is to stop on a truthy value),
+ *	timeout: milliseconds after which the returned promise is rejected with a TimeoutError
+ *		and polling stops (default none)
+ * }
+ * @return a promise for the value that satisfied the until function
+ */
+exports.poll = function(fn, options){
+	options = options || {};
+	var interval = "interval" in options ? options.interval : 100,
+		until = options.until || function(value){
+			return value;
+		},
+		attempt = 0, current, cancelled;
+	var deferred = new Deferred(function(reason){
+		cancelled = true;
+		cancel(current, reason);
+	});
+	function fail(error){
+		if(!cancelled){
+			deferred.reject(error);
+		}
+	}
+	function next(){
+		if(cancelled){
+			return;
+		}
+		attempt++;
+		try{
+			current = exports.when(fn(attempt), function(value){
+				return exports.when(until(value), function(done){
+					return {done: done, value: value};
+				});
+			});
+		}catch(e){
+			fail(e);
+			return;
+		}
+		exports.when(current, function(result){
+			if(cancelled){
+				return;
+			}
+			if(result.done){
+				deferred.resolve(result.value);
+			}else{
+				current = exports.delay(interval);
+				exports.when(current, next, fail);
+			}
+		}, fail);
+	}
+	next();
+	if(options.timeout){
+		return exports.withTimeout(deferred.promise, options.timeout, {
+			message: "Polling timed out after " + options.timeout + "ms",
+			cancel: true
+		});
+	}
+	return deferred.promise;
+};
+
+
+// Creates a Node style callback that settles the deferred. If there are multiple success values
+// the deferred is resolved with an array of them, unless multiArgs is false (only the first
+// value is used) or true (an array is used for any number of values).
+function nodeCallback(deferred, multiArgs){
+	return function(error, result){
 		if(error) {
 			deferred.emitError(error);
 		}
 		else {
-			if(arguments.length > 2){
-				// if there are multiple success values, we return an array
-				Array.prototype.shift.call(arguments, 1);
-				deferred.emitSuccess(arguments);
+			if(multiArgs || (multiArgs === undefined && arguments.length > 2)){
+				deferred.emitSuccess(Array.prototype.slice.call(arguments, 1));
 			}
 			else{
 				deferred.emitSuccess(result);
 			}
 		}
-	});
+	};
+}
+
+/**
+ * Runs a function that takes a callback, but returns a Promise instead.
+ * @param func	 node compatible async function which takes a callback as its last argument
+ * @return promise for the return value from the callback from the function
+ */
+exports.execute = function(asyncFunction){
+	var args = Array.prototype.slice.call(arguments, 1);
+
+	var deferred = new Deferred();
+	args.push(nodeCallback(deferred));
 	asyncFunction.apply(this, args);
 	return deferred.promise;
 };
@@ -617,24 +2035,105 @@ exports.convertNodeAsyncFunction = function(asyncFunction, callbackNotDeclared){
 			arity = arguments.length + 1;
 		}
 		arguments.length = arity;
-		arguments[arity - 1] = function(error, result){
-			if(error) {
-				deferred.emitError(error);
-			}
-			else {
-				if(arguments.length > 2){
-					// if there are multiple success values, we return an array
-					Array.prototype.shift.call(arguments, 1);
-					deferred.emitSuccess(arguments);
-				}
-				else{
-					deferred.emitSuccess(result);
-				}
-			}
-		};
+		arguments[arity - 1] = nodeCallback(deferred);
 		asyncFunction.apply(this, arguments);
 		return deferred.promise;
 	};
 };
+
+/**
+ * Converts a Node async function to a promise returning function. Unlike
+ * convertNodeAsyncFunction, the callback is added after the arguments that are given,
+ * so variadic functions work, and the function is called with the same this.
+ * @param asyncFunction	 node compatible async function which takes a callback as its last argument
+ * @param options	{multiArgs: true to always resolve to an array of the success values,
+ *	false to resolve to the first one (by default an array is used when there are several)}
+ * @return A function that returns a promise
+ */
+exports.promisify = function(asyncFunction, options){
+	var multiArgs = options && options.multiArgs;
+	return function(){
+		var deferred = new Deferred();
+		var args = Array.prototype.slice.call(arguments);
+		args.push(nodeCallback(deferred, multiArgs));
+		try{
+			asyncFunction.apply(this, args);
+		}catch(e){
+			deferred.reject(e);
+		}
+		return deferred.promise;
+	};
+};
+
+/**
+ * Adds a promise returning version of each of the Node async methods of an object,
+ * named with the given suffix.
+ * @param object	 the object with Node async methods
+ * @param options	{
+ *	suffix: appended to the method names for the promise returning versions (default "Async"),
+ *	filter: function called with the name and value of each property, returning true for the
+ *		methods to convert (by default the methods not starting with an _ or ending with Sync),
+ *	multiArgs: see promisify(),
+ *	target: the object to add the methods to (default is the object itself), they are
+ *		always called on the original object
+ * }
+ * @return the object the methods were added to
+ */
+exports.promisifyAll = function(object, options){
+	options = options || {};
+	var suffix = "suffix" in options ? options.suffix : "Async",
+		target = options.target || object,
+		filter = options.filter || function(name){
+			return name.charAt(0) != "_" && !/Sync$/.test(name);
+		};
+	for(var name in object){
+		var method = object[name];
+		if(typeof method === "function" && name != "constructor" && filter(name, method)){
+			target[name + suffix] = (function(promisified){
+				return target === object ? promisified : function(){
+					return promisified.apply(object, arguments);
+				};
+			})(exports.promisify(method, options));
+		}
+	}
+	return target;
+};
+
+/**
+ * Settles a Node style callback with the outcome of the promise, for passing
+ * results back to callback based code. A falsy rejection reason is passed as an Error
+ * with the reason in its reason property, as with util.callbackify(), so that it is
+ * not taken for success.
+ * @param value	 promise or value
+ * @param callback	function to be called with the error, or null and the value
+ * @return the promise
+ */
+exports.nodeify = function(value, callback){
+	var promise = exports.from(value);
+	if(typeof callback === "function"){
+		promise.then(function(result){
+			callCallback(callback, null, result);
+		}, function(error){
+			if(!error){
+				var reason = error;
+				error = new Error("Promise was rejected with falsy value");
+				error.code = "ERR_FALSY_VALUE_REJECTION";
+				error.reason = reason;
+			}
+			callCallback(callback, error);
+		});
+	}
+	return promise;
+};
+// errors from a callback should not be turned into rejections, throw them from a fresh turn
+function callCallback(callback, error, result){
+	try{
+		arguments.length > 2 ? callback(error, result) : callback(error);
+	}catch(e){
+		setTimeout(function(){
+			throw e;
+		}, 0);
+	}
+}
 });
 })(typeof define!="undefined"?define:function(factory){factory(require,exports)});
\ No newline at end of file
@@ -0,0 +1,440 @@
+(function(define){
+define(function(require,exports){
+
+// Far references: objects exported over a message channel, so that the other side can get
+// and put their properties and call their methods with get(), put() and call() from
+// promised-io/promise, receiving promises for the results.
+//
+//	// parent.js
+//	var child = require("child_process").fork("child.js");
+//	var connection = new Connection(child);
+//	promise.call(connection.root, "add", [1, 2]).then(function(sum){ ... });
+//	// child.js
+//	new Connection(process, {
+//		add: function(a, b){
+//			return a + b;
+//		}
+//	});
+//
+// The results of get(), put() and call() on a remote object are promises that can be used
+// as targets for further calls before they are resolved (promise pipelining), the calls are
+// then queued on the other side instead of waiting for a round trip. Values are copied,
+// except for functions and objects wrapped with ref(), which are passed as references.
+// Only the own properties of exported objects can be reached from the other side, never
+// "__proto__", "constructor" or "prototype".
+
+var promise = require("./promise"),
+	defer = promise.defer,
+	when = promise.when;
+
+/**
+ * Marks an object to be passed by reference rather than copied, the other side receives
+ * a remote object to get(), put() and call() on.
+ */
+function Reference(object){
+	this.object = object;
+}
+exports.ref = function(object){
+	return new Reference(object);
+};
+
+/**
+ * A reference to an object on the other side of a connection. It is a thenable that is
+ * fulfilled with itself (like an open file), so it can be the value of a promise, and
+ * its get(), put() and call() return promises for the results of the remote operations.
+ */
+function RemoteObject(connection, id){
+	this.connection = connection;
+	this.id = id;
+}
+exports.RemoteObject = RemoteObject;
+RemoteObject.prototype.then = function(callback){
+	return callback ? callback(this) : this;
+};
+
+function has(object, key){
+	return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// error types that are recreated on the receiving side
+var errorTypes = {
+	Error: Error,
+	TypeError: TypeError,
+	RangeError: RangeError,
+	SyntaxError: SyntaxError,
+	ReferenceError: ReferenceError,
+	EvalError: EvalError,
+	URIError: URIError,
+	CancelError: promise.CancelError,
+	TimeoutError: promise.TimeoutError,
+	AggregateError: promise.AggregateError
+};
+
+/**
+ * Connects to the other side of a message channel: a child process or the process
+ * of a child (anything with send() and "message" and "disconnect" events), or any
+ * object with send(message) and onMessage(listener) functions (and optionally
+ * onClose(listener)). Messages are plain objects that can be serialized as JSON.
+ * @param port	the message channel
+ * @param root	the object exported to the other side, available there as connection.root
+ */
+function Connection(port, root){
+	if(!(this instanceof Connection)){
+		return new Connection(port, root);
+	}
+	var connection = this,
+		// objects of this side that the other side has references to, by id
+		exported = [root],
+		// the other side's objects that this side has references to, by id
+		imported = {},
+		// promises for the results of the other side's requests, which its later requests can target
+		answers = {},
+		// deferreds for the results of this side's requests
+		questions = {},
+		nextQuestion = 1,
+		closed = false,
+		listeners = [];
+
+	function post(message){
+		port.send(message);
+	}
+	function remoteObject(id){
+		var reference = imported[id];
+		if(!reference){
+			reference = imported[id] = new RemoteObject(connection, id);
+			reference.get = function(name){
+				return question({type: "get", target: {ref: id}, name: name});
+			};
+			reference.put = function(name, value){
+				return question({type: "put", target: {ref: id}, name: name, value: encode(value)});
+			};
+			reference.call = function(name /*, args */){
+				return question({type: "call", target: {ref: id}, name: name,
+					args: encode(Array.prototype.slice.call(arguments, 1))});
+			};
+		}
+		return reference;
+	}
+
+	function encode(value){
+		if(value instanceof RemoteObject){
+			if(value.connection !== connection){
+				throw new TypeError("A remote object can only be passed back over its own connection");
+			}
+			return {"@import": value.id};
+		}
+		if(value instanceof Reference || typeof value === "function"){
+			var object = value instanceof Reference ? value.object : value;
+			var id = exported.indexOf(object);
+			if(id === -1){
+				id = exported.push(object) - 1;
+			}
+			return {"@export": id, "function": typeof object === "function"};
+		}
+		if(value instanceof Array){
+			return value.map(encode);
+		}
+		if(value && typeof value === "object" && !(value instanceof Date)){
+			var copy = {};
+			for(var key in value){
+				if(has(value, key)){
+					copy[key] = encode(value[key]);
+				}
+			}
+			return copy;
+		}
+		return value;
+	}
+	function decode(value){
+		if(value instanceof Array){
+			return value.map(decode);
+		}
+		if(value && typeof value === "object"){
+			if("@import" in value){
+				var id = value["@import"];
+				return typeof id === "number" && has(exported, id) ? exported[id] : undefined;
+			}
+			if("@export" in value){
+				var reference = remoteObject(value["@export"]);
+				return value["function"] ? remoteFunction(reference) : reference;
+			}
+			var copy = {};
+			for(var key in value){
+				// a "__proto__" key would set the prototype of the copy
+				if(key !== "__proto__"){
+					copy[key] = decode(value[key]);
+				}
+			}
+			return copy;
+		}
+		return value;
+	}
+	// a local function that calls the remote function and returns a promise for its result
+	function remoteFunction(reference){
+		return function(){
+			return question({type: "call", target: {ref: reference.id},
+				args: encode(Array.prototype.slice.call(arguments))});
+		};
+	}
+
+	function encodeError(error){
+		if(!(error instanceof Error)){
+			return {value: encode(error)};
+		}
+		var properties = {};
+		for(var key in error){
+			if(has(error, key) && key !== "stack" && key !== "message"){
+				properties[key] = encode(error[key]);
+			}
+		}
+		return {error: {name: error.name, message: error.message, stack: error.stack, properties: properties}};
+	}
+	function decodeError(data){
+		if(!data.error){
+			return decode(data.value);
+		}
+		var ErrorType = has(errorTypes, data.error.name) ? errorTypes[data.error.name] : Error;
+		var error = new ErrorType(data.error.message);
+		error.name = data.error.name;
+		// the stack of where it was thrown is more useful than where it was received
+		error.stack = data.error.stack;
+		var properties = decode(data.error.properties || {});
+		for(var key in properties){
+			error[key] = properties[key];
+		}
+		return error;
+	}
+
+	// sends a request and returns a promise for its result, that can be the target of further requests
+	function question(message){
+		var id = message.id = nextQuestion++;
+		var deferred = defer(function(){
+			if(questions[id]){
+				delete questions[id];
+				try{
+					post({type: "cancel", id: id});
+				}catch(e){}
+			}
+		});
+		var result = Object.create(deferred.promise);
+		function pipeline(type, properties){
+			if(!deferred.isPending()){
+				return null;
+			}
+			properties.type = type;
+			properties.target = {answer: id};
+			return question(properties);
+		}
+		result.get = function(name){
+			return pipeline("get", {name: name}) || when(deferred.promise, function(value){
+				return promise.get(value, name);
+			});
+		};
+		result.put = function(name, value){
+			return pipeline("put", {name: name, value: encode(value)}) || when(deferred.promise, function(object){
+				return promise.put(object, name, value);
+			});
+		};
+		result.call = function(name /*, args */){
+			var args = Array.prototype.slice.call(arguments, 1);
+			return pipeline("call", {name: name, args: encode(args)}) || when(deferred.promise, function(object){
+				return promise.call(object, name, args);
+			});
+		};
+		if(closed){
+			deferred.reject(new Error("The connection is closed"));
+			return result;
+		}
+		questions[id] = deferred;
+		try{
+			post(message);
+		}catch(e){
+			delete questions[id];
+			deferred.reject(e);
+		}
+		return result;
+	}
+
+	// the local object (or promise for it) that a request is for
+	function target(descriptor){
+		var table = descriptor && "answer" in descriptor ? answers : exported,
+			id = descriptor && ("answer" in descriptor ? descriptor.answer : descriptor.ref);
+		if(typeof id !== "number" || !has(table, id)){
+			throw new Error("Unknown remote reference " + JSON.stringify(descriptor));
+		}
+		return table[id];
+	}
+	// only the object's own properties are served, the other side must not reach prototypes or
+	// constructors (and through them Function), which would let it run any code here
+	function checkProperty(object, name, put){
+		var allowed = (typeof name === "string" || typeof name === "number") &&
+			name !== "__proto__" && name !== "constructor" && name !== "prototype" &&
+			object !== null && object !== undefined &&
+			// a new property can be put, but an inherited one can not be reached or shadowed
+			(has(object, name) || (put && !(name in Object(object))));
+		if(!allowed){
+			throw new TypeError("Access to the property " + name + " is not allowed");
+		}
+	}
+	// performs a request from the other side and sends back the result
+	function answer(message){
+		var id = message.id, name = message.name, result;
+		try{
+			var object = target(message.target);
+			if(message.type === "get"){
+				result = when(object, function(object){
+					if(object instanceof RemoteObject){
+						return promise.get(object, name);
+					}
+					checkProperty(object, name);
+					return object[name];
+				});
+			}
+			else if(message.type === "put"){
+				var value = decode(message.value);
+				result = when(object, function(object){
+					if(object instanceof RemoteObject){
+						return promise.put(object, name, value);
+					}
+					checkProperty(object, name, true);
+					return object[name] = value;
+				});
+			}
+			else if(name === undefined || name === null){
+				// only functions that were passed as references can be called directly
+				if(!("ref" in message.target) || typeof object !== "function"){
+					throw new TypeError("Only functions can be called without a method name");
+				}
+				result = object.apply(undefined, decode(message.args));
+			}
+			else{
+				var args = decode(message.args);
+				result = when(object, function(object){
+					if(object instanceof RemoteObject){
+						return promise.call(object, name, args);
+					}
+					checkProperty(object, name);
+					return object[name].apply(object, args);
+				});
+			}
+		}catch(e){
+			var deferred = defer();
+			deferred.reject(e);
+			result = deferred.promise;
+		}
+		// requests that target the result are for the referenced object
+		answers[id] = when(result, function(value){
+			return value instanceof Reference ? value.object : value;
+		});
+		// a failure is reported to the other side, not as an unhandled rejection here
+		when(answers[id], null, function(){});
+		when(result, function(value){
+			respond({type: "resolve", id: id}, "value", value);
+		}, function(error){
+			respond({type: "reject", id: id}, "error", error);
+		});
+	}
+	function respond(message, key, value){
+		if(closed || !(message.id in answers)){
+			return;
+		}
+		try{
+			message[key] = key === "error" ? encodeError(value) : encode(value);
+			post(message);
+		}catch(e){
+			if(key === "value" && !closed){
+				// the value can't be sent (a circular structure for example), send the error instead
+				respond({type: "reject", id: message.id}, "error", e);
+			}
+		}
+	}
+
+	function receive(message){
+		if(closed || !message || typeof message !== "object" || typeof message.id !== "number"){
+			return;
+		}
+		switch(message.type){
+			case "get": case "put": case "call":
+				answer(message);
+				break;
+			case "resolve": case "reject":
+				var deferred = questions[message.id];
+				if(deferred){
+					delete questions[message.id];
+					try{
+						// the other side can forget the result, it won't be the target of requests anymore
+						post({type: "release", id: message.id});
+					}catch(e){}
+					if(message.type === "resolve"){
+						deferred.resolve(decode(message.value));
+					}
+					else{
+						deferred.reject(decodeError(message.error));
+					}
+				}
+				break;
+			case "release":
+				delete answers[message.id];
+				break;
+			case "cancel":
+				var answered = answers[message.id];
+				delete answers[message.id];
+				promise.cancel(answered);
+				break;
+		}
+	}
+
+	if(typeof port.onMessage === "function"){
+		listeners.push(port.onMessage(receive));
+		if(typeof port.onClose === "function"){
+			listeners.push(port.onClose(close));
+		}
+	}
+	else{
+		port.on("message", receive);
+		port.on("disconnect", close);
+		listeners.push({
+			dismiss: function(){
+				port.removeListener("message", receive);
+				port.removeListener("disconnect", close);
+			}
+		});
+	}
+
+	function close(){
+		if(closed){
+			return;
+		}
+		closed = true;
+		listeners.forEach(function(listener){
+			if(listener && typeof listener.dismiss === "function"){
+				listener.dismiss();
+			}
+		});
+		var pending = questions;
+		exported = [];
+		imported = {};
+		answers = {};
+		questions = {};
+		for(var id in pending){
+			pending[id].reject(new Error("The connection was closed"));
+		}
+	}
+
+	/**
+	 * The object exported by the other side
+	 */
+	this.root = remoteObject(0);
+	/**
+	 * Stops listening to the channel, releases all references and rejects the pending
+	 * requests. Called when the channel is disconnected.
+	 */
+	this.close = close;
+	this.isClosed = function(){
+		return closed;
+	};
+}
+exports.Connection = Connection;
+
+});
+})(typeof define!="undefined"?define:function(factory){factory(require,exports)});
@@ -7,7 +7,9 @@ define(function(require,exports){
 
 // inspired by creationix's Step
 
-var when = require('./promise').when;
+var promise = require('./promise'),
+	when = promise.when,
+	defer = promise.defer;
 
 // execute sequentially functions taken from steps[]
 // each successive is fed with the result of prior
@@ -15,28 +17,311 @@ var when = require('./promise').when;
 // in the latter case the next function will receive Error object
 // return "undefined" to full stop.
 //
-// "context" is available to each steps as "this"
+// "context" is available to each step as "this", so properties set on "this" are seen by
+// the following steps and by the caller.
 //
-exports.Step = function(context, steps) {
-	var next;
+// a step can fan out by calling this.parallel() or this.group() (set on the context only
+// while the step runs), its return value is then ignored and the next step is called
+// error-first, once they are all done:
+//
+//	function(){
+//		fs.readFile(a, this.parallel());	// a node style callback
+//		this.parallel(request({url: url}));	// or a promise
+//		var group = this.group();
+//		files.forEach(function(file){
+//			fs.readFile(file, group());
+//		});
+//	},
+//	function(err, a, response, contents){
+//		// contents is the array of the results of the group
+//	}
+//
+// a step can also be given as {name: name, fn: function, timeout: ms}, a step that takes
+// longer than its timeout (or options.timeout) fails with a TimeoutError. Errors are
+// tagged with the name of the step that failed (the function name when not given) in
+// their "step" property. An error from the last step is passed to options.error, whose
+// return value is then the result.
+//
+exports.Step = function(context, steps, options) {
+	var self = context || {},
+		index = 0,
+		next;
+	options = options || {};
+	function failed(err, name) {
+		if (err && typeof err === 'object' && Object.isExtensible(err) && !('step' in err)) {
+			err.step = name;
+		}
+		if (!steps.length && options.error) {
+			return options.error.call(self, err);
+		}
+		return next(err);
+	}
 	next = function() {
-		var fn, result;
+		var step, fn, name, timeout, collector, result;
 		if (!steps.length) {
 			return arguments[0];
 		}
-		fn = steps.shift();
+		step = steps.shift();
+		fn = typeof step === 'function' ? step : step.fn;
+		name = step.name || fn.name || 'step ' + index;
+		timeout = step.timeout || options.timeout;
+		index++;
 		try {
-			result = fn.apply(context, arguments);
-			if (result !== void 0) {
-				result = when(result, next, next);
-			}
+			result = during(self, {
+				parallel: function() {
+					collector = collector || new Collector();
+					return collector.parallel.apply(collector, arguments);
+				},
+				group: function() {
+					collector = collector || new Collector();
+					return collector.group();
+				}
+			}, fn, arguments);
 		} catch (err) {
-			next(err);
+			return failed(err, name);
 		}
-		return result;
+		if (collector) {
+			result = collector.done();
+		}
+		else if (result === void 0) {
+			return result;
+		}
+		if (timeout && result && typeof result.then === 'function') {
+			result = promise.withTimeout(result, timeout, {
+				message: 'Step "' + name + '" timed out after ' + timeout + 'ms',
+				cancel: true
+			});
+		}
+		return when(result, function(value) {
+			if (!collector) {
+				return next(value);
+			}
+			if (value[0] && !steps.length) {
+				return failed(value[0], name);
+			}
+			return next.apply(null, value);
+		}, function(err) {
+			return failed(err, name);
+		});
 	};
 	return next();
 };
 
+// calls fn on the context with the given properties set on it, and puts back
+// what the context had before afterwards
+function during(context, properties, fn, args) {
+	var saved = {}, key;
+	for (key in properties) {
+		saved[key] = Object.getOwnPropertyDescriptor(context, key);
+		context[key] = properties[key];
+	}
+	try {
+		return fn.apply(context, args);
+	} finally {
+		for (key in saved) {
+			if (saved[key]) {
+				Object.defineProperty(context, key, saved[key]);
+			}
+			else {
+				delete context[key];
+			}
+		}
+	}
+}
+
+// collects the results of the callbacks and promises of a step's parallel() and group()
+// calls, in the order of the calls. done() returns a promise for the arguments of the next
+// step: the first error (or null) followed by the results.
+function Collector() {
+	var results = [],
+		pending = 0,
+		returned = false,
+		groups = [],
+		error = null,
+		deferred = defer();
+	function slot() {
+		pending++;
+		results.push(void 0);
+		return results.length - 1;
+	}
+	function fill(index, err, value) {
+		if (err) {
+			error = error || err;
+		}
+		else {
+			results[index] = value;
+		}
+		pending--;
+		check();
+	}
+	function check() {
+		if (returned && !pending) {
+			deferred.resolve([error].concat(results));
+		}
+	}
+	// a node style callback for a result, or waits for the given promise
+	function callback(args, fill) {
+		if (args.length) {
+			when(args[0], function(value) {
+				fill(null, value);
+			}, fill);
+			return;
+		}
+		var called;
+		return function(err, value) {
+			if (!called) {
+				called = true;
+				fill(err, value);
+			}
+		};
+	}
+	this.parallel = function() {
+		var index = slot();
+		return callback(arguments, function(err, value) {
+			fill(index, err, value);
+		});
+	};
+	this.group = function() {
+		var index = slot(),
+			values = [],
+			waiting = 0,
+			groupError = null,
+			filled = false;
+		function checkGroup() {
+			if (returned && !waiting && !filled) {
+				filled = true;
+				fill(index, groupError, values);
+			}
+		}
+		groups.push(checkGroup);
+		return function() {
+			var position = values.length;
+			values.push(void 0);
+			waiting++;
+			return callback(arguments, function(err, value) {
+				if (err) {
+					groupError = groupError || err;
+				}
+				else {
+					values[position] = value;
+				}
+				waiting--;
+				checkGroup();
+			});
+		};
+	};
+	this.done = function() {
+		returned = true;
+		groups.forEach(function(checkGroup) {
+			checkGroup();
+		});
+		check();
+		return deferred.promise;
+	};
+}
+
+// what a yielded value is waiting for: arrays are waited for with all(),
+// lazy arrays are read into arrays
+function awaitable(value) {
+	if (value && typeof value.then === 'function') {
+		return value;
+	}
+	if (Array.isArray(value)) {
+		return promise.all(value);
+	}
+	if (value && typeof value.some === 'function' && typeof value.toRealArray === 'function') {
+		return value.toRealArray();
+	}
+	return value;
+}
+
+// runs a generator, resuming it with the values of the promises it yields
+function run(generator) {
+	var current, observer, cancelled;
+	var deferred = defer(function(reason) {
+		// stop waiting and let the generator run its finally blocks
+		var awaiting = observer;
+		cancelled = true;
+		current = observer = null;
+		promise.cancel(awaiting, reason);
+		if (typeof generator['return'] === 'function') {
+			resume('return');
+		}
+	});
+	function resume(method, arg) {
+		var result, value;
+		while (true) {
+			try {
+				result = generator[method](arg);
+			} catch (err) {
+				if (!cancelled) {
+					deferred.reject(err);
+				}
+				return;
+			}
+			if (result.done) {
+				if (!cancelled) {
+					deferred.resolve(result.value);
+				}
+				return;
+			}
+			value = awaitable(result.value);
+			if (value && typeof value.then === 'function') {
+				wait(value);
+				return;
+			}
+			// a plain value, resume right away
+			method = 'next';
+			arg = value;
+		}
+	}
+	function wait(value) {
+		current = value;
+		observer = value.then(function(result) {
+			if (current === value) {
+				resume('next', result);
+			}
+		}, function(err) {
+			if (current === value) {
+				resume('throw', err);
+			}
+		});
+	}
+	resume('next');
+	return deferred.promise;
+}
+
+// runs a generator function as a coroutine: it can yield promises (and arrays of promises
+// or lazy arrays), it is resumed with their values, or their rejection reasons are thrown
+// into it. Returns a promise for the value it returns. Cancelling the promise cancels the
+// promise it is waiting for and runs its finally blocks.
+//
+//	spawn(function*() {
+//		var response = yield request({url: url});
+//		var body = yield response.body.join('');
+//		...
+//	});
+//
+exports.spawn = function(generatorFunction) {
+	try {
+		return run(generatorFunction());
+	} catch (err) {
+		var deferred = defer();
+		deferred.reject(err);
+		return deferred.promise;
+	}
+};
+
+// wraps a generator function into a function that runs it with spawn() and
+// returns the promise, called with the same this and arguments
+exports.async = function(generatorFunction) {
+	return function() {
+		var self = this, args = arguments;
+		return exports.spawn(function() {
+			return generatorFunction.apply(self, args);
+		});
+	};
+};
+
 });
 })(typeof define!="undefined"?define:function(factory){factory(require,exports)});
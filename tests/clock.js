@@ -0,0 +1,95 @@
+var assert = require("assert"),
+	promise = require("../lib/promise"),
+	delay = require("../lib/delay"),
+	clock = require("../lib/clock");
+
+// runs the test with the virtual clock installed and promise callbacks called synchronously
+function virtually(test){
+	return function(){
+		var scheduler = promise.scheduler;
+		promise.setScheduler("sync");
+		clock.install(0);
+		try{
+			test();
+		}finally{
+			clock.uninstall();
+			promise.setScheduler(scheduler);
+		}
+	};
+}
+
+exports.testDelay = virtually(function(){
+	var fulfilled = [];
+	promise.delay(100).then(function(){
+		fulfilled.push(clock.now());
+		return promise.delay(50);
+	}).then(function(){
+		fulfilled.push(clock.now());
+	});
+	delay(120).then(function(){
+		fulfilled.push("delay module");
+	});
+	clock.tick(99);
+	assert.deepEqual(fulfilled, []);
+	assert.equal(clock.tick(100), 199);
+	assert.deepEqual(fulfilled, [100, "delay module", 150]);
+});
+
+exports.testTimeouts = virtually(function(){
+	var errors = [];
+	promise.defer().timeout(1000).then(null, function(error){
+		errors.push(error);
+	});
+	promise.withTimeout(promise.defer().promise, 500).then(null, function(error){
+		errors.push(error);
+	});
+	clock.tick(500);
+	assert.equal(errors.length, 1);
+	assert.ok(errors[0] instanceof promise.TimeoutError);
+	assert.equal(errors[0].elapsed, 500);
+	assert.equal(clock.runAll(), 1000);
+	assert.equal(errors[1].elapsed, 1000);
+});
+
+exports.testSchedule = virtually(function(){
+	var times = [];
+	delay.schedule(10).some(function(){
+		times.push(clock.now());
+		return times.length === 3;
+	});
+	clock.tick(25);
+	assert.deepEqual(times, [10, 20]);
+	clock.tick(100);
+	assert.deepEqual(times, [10, 20, 30]);
+	// the interval is stopped when there are no callbacks left
+	clock.runAll(10);
+});
+
+exports.testUnhandledRejections = virtually(function(){
+	var reported = [];
+	var listener = promise.onUnhandledRejection(function(reason){
+		reported.push(reason);
+	});
+	try{
+		promise.defer().reject("unhandled");
+		clock.tick(promise.errorTimeout - 1);
+		assert.deepEqual(reported, []);
+		clock.tick(1);
+		assert.deepEqual(reported, ["unhandled"]);
+	}finally{
+		listener.dismiss();
+	}
+});
+
+exports.testUninstall = function(){
+	clock.install();
+	var virtualDelay = promise.delay(1);
+	clock.uninstall();
+	assert.ok(!clock.isInstalled());
+	return promise.delay(1).then(function(){
+		assert.ok(virtualDelay.isPending());
+	});
+};
+
+if (require.main === module)
+	require("patr/runner").run(exports);
@@ -0,0 +1,169 @@
+var assert = require("assert"),
+	promise = require("../lib/promise"),
+	coordination = require("../lib/coordination"),
+	Mutex = coordination.Mutex,
+	Semaphore = coordination.Semaphore,
+	Queue = coordination.Queue;
+
+exports.testMutex = function(){
+	var mutex = new Mutex(), order = [];
+	function critical(name){
+		return mutex.runExclusive(function(){
+			order.push(name + " start");
+			return promise.delay(5).then(function(){
+				order.push(name + " end");
+				return name;
+			});
+		});
+	}
+	var results = promise.all([critical("a"), critical("b")]);
+	assert.ok(mutex.isLocked());
+	return results.then(function(names){
+		assert.deepEqual(names, ["a", "b"]);
+		assert.deepEqual(order, ["a start", "a end", "b start", "b end"]);
+		assert.ok(!mutex.isLocked());
+	});
+};
+
+exports.testMutexReleasesOnFailure = function(){
+	var mutex = new Mutex();
+	return mutex.runExclusive(function(){
+		throw new Error("failed");
+	}).then(null, function(error){
+		assert.equal(error.message, "failed");
+		assert.ok(!mutex.isLocked());
+	});
+};
+
+exports.testSemaphore = function(){
+	var semaphore = new Semaphore(2), releases = [];
+	semaphore.acquire().then(function(release){
+		releases.push(release);
+	});
+	semaphore.acquire().then(function(release){
+		releases.push(release);
+	});
+	var third = semaphore.acquire();
+	assert.equal(semaphore.available(), 0);
+	assert.equal(semaphore.waiting(), 1);
+	return promise.delay(1).then(function(){
+		assert.ok(third.isPending());
+		releases[0]();
+		releases[0](); // releasing twice has no effect
+		return third;
+	}).then(function(release){
+		assert.equal(semaphore.available(), 0);
+		release();
+		releases[1]();
+		assert.equal(semaphore.available(), 2);
+	});
+};
+
+exports.testWaitersTimeOutAndCancel = function(){
+	var mutex = new Mutex(), release;
+	return mutex.lock().then(function(unlock){
+		release = unlock;
+		var cancelled = mutex.lock();
+		cancelled.cancel();
+		assert.ok(cancelled.isRejected());
+		return mutex.lock({timeout: 5});
+	}).then(function(){
+		assert.fail("should not acquire");
+	}, function(error){
+		assert.ok(error instanceof promise.TimeoutError);
+		release();
+		assert.ok(!mutex.isLocked());
+	});
+};
+
+exports.testCancelAfterGrant = function(){
+	var mutex = new Mutex(), release;
+	return mutex.lock().then(function(unlock){
+		var running = mutex.runExclusive(function(){
+			assert.fail("should not run");
+		});
+		// granted to the waiter and cancelled in the same turn
+		unlock();
+		running.cancel();
+		return promise.delay(1);
+	}).then(function(){
+		assert.ok(!mutex.isLocked());
+		return mutex.lock();
+	}).then(function(unlock){
+		var acquiring = mutex.lock().then(function(){
+			assert.fail("should not acquire");
+		});
+		unlock();
+		acquiring.cancel();
+		return promise.delay(1);
+	}).then(function(){
+		assert.ok(!mutex.isLocked());
+	});
+};
+
+exports.testTimeoutTimersAreCleared = function(){
+	var clock = require("../lib/clock").install(0);
+	try{
+		var mutex = new Mutex(), queue = new Queue(), releases = [];
+		mutex.lock().then(function(release){
+			releases.push(release);
+		});
+		mutex.lock({timeout: 5000});
+		mutex.lock({timeout: 5000}).cancel();
+		queue.add(function(){}, {timeout: 5000});
+		// delay() would wait for the virtual clock, so wait a couple of turns of the scheduler
+		return promise.from(null).then(function(){}).then(function(){
+			releases[0]();
+			assert.equal(clock.runAll(), 0);
+		})["finally"](function(){
+			clock.uninstall();
+		});
+	}catch(e){
+		clock.uninstall();
+		throw e;
+	}
+};
+
+exports.testQueue = function(){
+	var queue = new Queue({concurrency: 1, paused: true}), order = [];
+	function task(name){
+		return function(){
+			order.push(name);
+			return promise.delay(1);
+		};
+	}
+	queue.add(task("low"));
+	queue.add(task("high"), {priority: 10});
+	var cancelled = queue.add(task("cancelled"));
+	queue.add(task("normal"));
+	cancelled.cancel();
+	assert.equal(queue.size(), 3);
+	var drained = queue.drain();
+	queue.resume();
+	assert.equal(queue.running(), 1);
+	return drained.then(function(){
+		assert.deepEqual(order, ["high", "low", "normal"]);
+		assert.equal(queue.size(), 0);
+		assert.equal(queue.running(), 0);
+	});
+};
+
+exports.testQueueConcurrency = function(){
+	var queue = new Queue({concurrency: 2}), active = 0, maxActive = 0;
+	var results = [];
+	for(var i = 0; i < 6; i++){
+		results.push(queue.add(function(){
+			active++;
+			maxActive = Math.max(active, maxActive);
+			return promise.delay(2).then(function(){
+				active--;
+			});
+		}));
+	}
+	return promise.all(results).then(function(){
+		assert.equal(maxActive, 2);
+	});
+};
+
+if (require.main === module)
+    require("patr/runner").run(exports);
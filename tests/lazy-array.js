@@ -0,0 +1,327 @@
+var assert = require("assert"),
+	promise = require("../lib/promise"),
+	LazyArray = require("../lib/lazy-array").LazyArray;
+
+// a lazy array of the given items that honors back-pressure and records what happened
+function source(items, log){
+	return LazyArray({
+		some: function(callback){
+			var i = 0;
+			function next(){
+				while(i < items.length){
+					log.push("send " + items[i]);
+					var result = callback(items[i++]);
+					if(result && typeof result.then === "function"){
+						return result.then(function(stop){
+							if(stop){
+								log.push("stopped");
+								return true;
+							}
+							return next();
+						});
+					}
+					if(result){
+						log.push("stopped");
+						return true;
+					}
+				}
+				log.push("end");
+			}
+			return promise.when(promise.delay(1), next);
+		}
+	});
+}
+
+exports.testAsyncIterator = async function(){
+	var log = [], received = [];
+	for await (var item of source([1, 2, 3], log)){
+		log.push("received " + item);
+		received.push(item);
+	}
+	assert.deepEqual(received, [1, 2, 3]);
+	assert.deepEqual(log, ["send 1", "received 1", "send 2", "received 2", "send 3", "received 3", "end"]);
+};
+
+exports.testAsyncIteratorBreak = async function(){
+	var log = [];
+	for await (var item of source([1, 2, 3], log)){
+		if(item === 2){
+			break;
+		}
+	}
+	await promise.delay(1);
+	assert.deepEqual(log, ["send 1", "send 2", "stopped"]);
+};
+
+exports.testAsyncIteratorError = async function(){
+	var failing = LazyArray({
+		some: function(callback){
+			callback(1);
+			var deferred = promise.defer();
+			deferred.reject(new Error("read failed"));
+			return deferred.promise;
+		}
+	});
+	var received = [];
+	try{
+		for await (var item of failing){
+			received.push(item);
+		}
+		assert.fail("should throw");
+	}catch(error){
+		assert.equal(error.message, "read failed");
+	}
+	assert.deepEqual(received, [1]);
+};
+
+exports.testAsyncIteratorClosesFile = async function(){
+	var fs = require("../lib/fs"),
+		path = require("os").tmpdir() + "/promised-io-lazy-array-" + process.pid;
+	require("fs").writeFileSync(path, Buffer.alloc(20000));
+	try{
+		var file = fs.openSync(path, "r"), chunks = 0;
+		for await (var chunk of file){
+			chunks++;
+			break;
+		}
+		assert.equal(chunks, 1);
+		await promise.delay(10);
+		assert.throws(function(){
+			require("fs").fstatSync(file.fd);
+		}, /EBADF/);
+	}finally{
+		require("fs").unlinkSync(path);
+	}
+};
+
+exports.testFrom = function(){
+	var closed, produced = [];
+	async function* numbers(){
+		try{
+			for(var i = 1; i <= 5; i++){
+				produced.push(i);
+				yield i;
+			}
+		}finally{
+			closed = true;
+		}
+	}
+	var received = [];
+	return LazyArray.from(numbers()).some(function(item){
+		received.push(item);
+		// the generator is not asked for the next number before this is fulfilled
+		return promise.delay(1).then(function(){
+			assert.equal(produced.length, item);
+			return item === 3;
+		});
+	}).then(function(stopped){
+		assert.ok(stopped);
+		assert.deepEqual(received, [1, 2, 3]);
+		assert.ok(closed);
+		return LazyArray.from(numbers()).toRealArray();
+	}).then(function(all){
+		assert.deepEqual(all, [1, 2, 3, 4, 5]);
+	});
+};
+
+exports.testFromStream = function(){
+	var stream = require("stream"),
+		readable = stream.Readable.from(["a", "b", "c", "d"]),
+		received = [];
+	return LazyArray.fromStream(readable).some(function(chunk){
+		received.push(chunk);
+		return promise.delay(1).then(function(){
+			// nothing more is read while the promise is pending
+			assert.equal(received[received.length - 1], chunk);
+			return chunk === "c";
+		});
+	}).then(function(stopped){
+		assert.ok(stopped);
+		assert.deepEqual(received, ["a", "b", "c"]);
+		assert.ok(readable.destroyed);
+		var failing = new stream.Readable({read: function(){
+			this.destroy(new Error("read failed"));
+		}});
+		return LazyArray.fromStream(failing).toRealArray();
+	}).then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.equal(error.message, "read failed");
+	});
+};
+
+exports.testToReadable = async function(){
+	var log = [], received = [];
+	var readable = LazyArray.toReadable(source([1, 2, 3, 4], log), {objectMode: true, highWaterMark: 1});
+	for await (var item of readable){
+		log.push("read " + item);
+		received.push(item);
+	}
+	assert.deepEqual(received, [1, 2, 3, 4]);
+	// the source is paused while the buffer is full
+	assert.ok(log.indexOf("read 1") < log.indexOf("send 4"));
+	log = [];
+	readable = LazyArray.toReadable(source([1, 2, 3, 4], log), {objectMode: true, highWaterMark: 1});
+	for await (var item of readable){
+		break;
+	}
+	await promise.delay(1);
+	assert.equal(log[log.length - 1], "stopped");
+};
+
+exports.testPipeTo = function(){
+	var stream = require("stream"), written = [], log = [], writing = 0, maxWriting = 0;
+	var writable = new stream.Writable({objectMode: true, highWaterMark: 1, write: function(item, encoding, callback){
+		writing++;
+		maxWriting = Math.max(writing, maxWriting);
+		setTimeout(function(){
+			writing--;
+			written.push(item);
+			callback();
+		}, 1);
+	}});
+	return LazyArray.pipeTo(source([1, 2, 3, 4], log), writable).then(function(){
+		assert.deepEqual(written, [1, 2, 3, 4]);
+		assert.ok(writable.writableFinished);
+		assert.equal(maxWriting, 1);
+		log = [];
+		var failing = new stream.Writable({objectMode: true, write: function(item, encoding, callback){
+			callback(new Error("write failed"));
+		}});
+		return LazyArray.pipeTo(source([1, 2, 3, 4], log), failing);
+	}).then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.equal(error.message, "write failed");
+		assert.equal(log[log.length - 1], "stopped");
+		var destination = new stream.Writable({write: function(item, encoding, callback){
+			callback();
+		}});
+		var failingSource = LazyArray({
+			some: function(){
+				var deferred = promise.defer();
+				deferred.reject(new Error("read failed"));
+				return deferred.promise;
+			}
+		});
+		return LazyArray.pipeTo(failingSource, destination).then(function(){
+			assert.fail("should not fulfill");
+		}, function(error){
+			assert.equal(error.message, "read failed");
+			assert.ok(destination.destroyed);
+		});
+	});
+};
+
+exports.testStreamsClosedEarly = function(){
+	var stream = require("stream");
+	var readable = new stream.Readable({objectMode: true, read: function(){}});
+	readable.push("a");
+	var reading = LazyArray.fromStream(readable).some(function(){
+		readable.destroy();
+	});
+	return reading.then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.equal(error.code, "ERR_STREAM_PREMATURE_CLOSE");
+		var writable = new stream.Writable({objectMode: true, write: function(item, encoding, callback){
+			// never done, until the stream is destroyed
+		}});
+		var writing = LazyArray.pipeTo(source([1, 2, 3], []), writable);
+		setTimeout(function(){
+			writable.destroy();
+		}, 1);
+		return writing;
+	}).then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.equal(error.code, "ERR_STREAM_PREMATURE_CLOSE");
+	});
+};
+
+exports.testLazyMethods = function(){
+	var log = [];
+	function numbers(){
+		return source([1, 2, 3, 4, 5, 6], log);
+	}
+	return numbers().filter(function(n){
+		return n % 2 === 0;
+	}).map(function(n){
+		return n * 10;
+	}).toRealArray().then(function(array){
+		assert.deepEqual(array, [20, 40, 60]);
+		log = [];
+		return numbers().take(2).toRealArray();
+	}).then(function(array){
+		assert.deepEqual(array, [1, 2]);
+		// the source is not read further than it needs to be
+		assert.deepEqual(log, ["send 1", "send 2", "stopped"]);
+		return numbers().skip(4).toRealArray();
+	}).then(function(array){
+		assert.deepEqual(array, [5, 6]);
+		return numbers().slice(1, 3).toRealArray();
+	}).then(function(array){
+		assert.deepEqual(array, [2, 3]);
+		return numbers().takeWhile(function(n){
+			return n < 4;
+		}).toRealArray();
+	}).then(function(array){
+		assert.deepEqual(array, [1, 2, 3]);
+		return numbers().take(2).flatMap(function(n){
+			return n === 1 ? [n, n] : LazyArray([n, n, n]);
+		}).toRealArray();
+	}).then(function(array){
+		assert.deepEqual(array, [1, 1, 2, 2, 2]);
+		return numbers().reduce(function(sum, n){
+			return promise.delay(1).then(function(){
+				return sum + n;
+			});
+		}, 0);
+	}).then(function(sum){
+		assert.equal(sum, 21);
+		return numbers().find(function(n){
+			return n > 2;
+		});
+	}).then(function(found){
+		assert.equal(found, 3);
+		return numbers().indexOf(4);
+	}).then(function(index){
+		assert.equal(index, 3);
+		return numbers().indexOf(7);
+	}).then(function(index){
+		assert.equal(index, -1);
+		return numbers().some(function(n){
+			return n === 3;
+		});
+	}).then(function(found){
+		assert.strictEqual(found, true);
+		return numbers().some(function(n){
+			return n === 7;
+		});
+	}).then(function(found){
+		assert.strictEqual(found, false);
+	});
+};
+
+exports.testTakeClosesFile = function(){
+	var fs = require("../lib/fs"),
+		path = require("os").tmpdir() + "/promised-io-take-" + process.pid;
+	require("fs").writeFileSync(path, Buffer.alloc(4096 * 20));
+	var file = fs.openSync(path, "r");
+	return file.take(2).toRealArray().then(function(chunks){
+		assert.equal(chunks.length, 2);
+		return promise.delay(10);
+	}).then(function(){
+		assert.throws(function(){
+			require("fs").fstatSync(file.fd);
+		}, /EBADF/);
+		assert.ok(file.closed);
+		// the descriptor may already belong to another file
+		return file.close();
+	})["finally"](function(){
+		require("fs").unlinkSync(path);
+	});
+};
+
+if (require.main === module)
+	require("patr/runner").run(exports);
@@ -0,0 +1,82 @@
+var assert = require("assert"),
+	EventEmitter = require("events").EventEmitter,
+	promise = require("../lib/promise"),
+	observe = require("../lib/observe");
+
+exports.testOnce = function(){
+	var emitter = new EventEmitter();
+	var next = observe.once(emitter, "data");
+	emitter.emit("data", "first");
+	emitter.emit("data", "second");
+	return next.then(function(value){
+		assert.equal(value, "first");
+		assert.equal(emitter.listeners("data").length, 0);
+		assert.equal(emitter.listeners("error").length, 0);
+		var failing = observe.once(emitter, "end");
+		emitter.emit("error", new Error("failed"));
+		return failing;
+	}).then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.equal(error.message, "failed");
+		return observe.once(emitter, "end", {timeout: 5});
+	}).then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.ok(error instanceof promise.TimeoutError);
+		assert.equal(emitter.listeners("end").length, 0);
+	});
+};
+
+exports.testEvents = function(){
+	var emitter = new EventEmitter(), received = [];
+	var done = observe.events(emitter, "data").forEach(function(value){
+		received.push(value);
+	});
+	emitter.emit("data", 1);
+	emitter.emit("data", 2, 3);
+	emitter.emit("end");
+	return done.then(function(){
+		assert.deepEqual(received, [1, [2, 3]]);
+		assert.equal(emitter.listeners("data").length, 0);
+		assert.equal(emitter.listeners("end").length, 0);
+	});
+};
+
+exports.testEventsBackPressureAndStop = function(){
+	var emitter = new EventEmitter(), received = [], paused = 0;
+	emitter.pause = function(){
+		paused++;
+	};
+	emitter.resume = function(){};
+	var done = observe.events(emitter, "data").some(function(value){
+		received.push(value);
+		return promise.delay(1).then(function(){
+			return value == 2;
+		});
+	});
+	emitter.emit("data", 1);
+	emitter.emit("data", 2);
+	emitter.emit("data", 3);
+	return done.then(function(stopped){
+		assert.ok(stopped);
+		assert.deepEqual(received, [1, 2]);
+		assert.ok(paused > 0);
+		assert.equal(emitter.listeners("data").length, 0);
+	});
+};
+
+exports.testEventsError = function(){
+	var emitter = new EventEmitter();
+	var done = observe.events(emitter, "data").forEach(function(){});
+	emitter.emit("error", new Error("failed"));
+	return done.then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.equal(error.message, "failed");
+		assert.equal(emitter.listeners("data").length, 0);
+	});
+};
+
+if (require.main === module)
+    require("patr/runner").run(exports);
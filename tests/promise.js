@@ -2,7 +2,10 @@ var assert = require("assert"),
 	when = require("../lib/promise").when,
 	whenPromise = require("../lib/promise").whenPromise,
 	defer = require("../lib/promise").defer,
-	Step = require("../lib/step").Step;
+	LazyArray = require("../lib/lazy-array").LazyArray,
+	Step = require("../lib/step").Step,
+	spawn = require("../lib/step").spawn,
+	async = require("../lib/step").async;
 
 exports.testSpeedPlainValue = function(){
 	for(var i = 0; i < 1000; i++){
@@ -33,6 +36,1038 @@ exports.testWhenPromiseRejectHandled = function(){
 	}).then(null, function(){});
 };
 
+exports.testCallbacksAreAsynchronous = function(){
+	var deferred = defer(), order = [];
+	deferred.resolve(1);
+	var result = deferred.promise.then(function(value){
+		order.push("callback");
+		assert.deepEqual(order, ["registered", "callback"]);
+		return value + 1;
+	});
+	order.push("registered");
+	return result.then(function(value){
+		assert.equal(value, 2);
+	});
+};
+
+exports.testCallbackOrder = function(){
+	var deferred = defer(), order = [];
+	deferred.promise.then(function(){ order.push(1); });
+	deferred.promise.then(function(){ order.push(2); });
+	deferred.resolve();
+	deferred.promise.then(function(){ order.push(3); });
+	return deferred.promise.then(function(){
+		assert.deepEqual(order, [1, 2, 3]);
+	});
+};
+
+exports.testDeepChainIsStackSafe = function(){
+	var promise = defer(), start = promise;
+	for(var i = 0; i < 10000; i++){
+		promise = promise.then(function(value){
+			return value + 1;
+		});
+	}
+	start.resolve(0);
+	return promise.then(function(value){
+		assert.equal(value, 10000);
+	});
+};
+
+exports.testSchedulers = function(){
+	var promise = require("../lib/promise"),
+		original = promise.scheduler,
+		finished = defer();
+	// start from a fresh turn so no tasks are already being flushed
+	setTimeout(function(){
+		var scheduled = [];
+		promise.setScheduler(function(task){
+			scheduled.push(task);
+		});
+		try{
+			var deferred = defer(), called;
+			deferred.promise.then(function(){
+				called = true;
+			});
+			deferred.resolve();
+			assert.ok(!called);
+			assert.equal(scheduled.length, 1);
+			scheduled.shift()();
+			assert.ok(called);
+
+			promise.setScheduler("sync");
+			called = false;
+			deferred.promise.then(function(){
+				called = true;
+			});
+			assert.ok(called);
+			assert.throws(function(){
+				promise.setScheduler("unknown");
+			});
+			finished.resolve();
+		}catch(e){
+			finished.reject(e);
+		}finally{
+			promise.setScheduler(original);
+		}
+	}, 0);
+	return finished.promise;
+};
+
+exports.testResolveWithThenable = function(){
+	var deferred = defer();
+	deferred.resolve({
+		then: function(resolve, reject){
+			resolve(1);
+			resolve(2);
+			reject(3);
+			throw new Error("ignored");
+		}
+	});
+	return deferred.promise.then(function(value){
+		assert.equal(value, 1);
+	});
+};
+
+exports.testCancelFromThenable = function(){
+	var promise = require("../lib/promise"),
+		calls = 0;
+	var converted = promise.from({
+		then: function(){},
+		cancel: function(){
+			calls++;
+		}
+	});
+	converted.cancel();
+	assert.equal(calls, 1);
+	assert.ok(converted.isRejected());
+};
+
+exports.testResolveWithSelfFulfillingThenable = function(){
+	var deferred = defer(), calls = 0;
+	var file = {
+		then: function(resolve){
+			calls++;
+			resolve(file);
+		}
+	};
+	deferred.resolve(file);
+	return deferred.promise.then(function(value){
+		assert.strictEqual(value, file);
+		assert.equal(calls, 1);
+	});
+};
+
+exports.testResolveWithItself = function(){
+	var deferred = defer();
+	var promise = deferred.promise.then(function(){
+		return promise;
+	});
+	deferred.resolve();
+	return promise.then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.ok(error instanceof TypeError);
+	});
+};
+
+exports.testNativeInterop = function(){
+	var promise = require("../lib/promise"),
+		deferred = defer(),
+		updates = [];
+	var nativePromise = promise.toNative(deferred.promise, function(update){
+		updates.push(update);
+	});
+	assert.ok(nativePromise instanceof Promise);
+	deferred.progress(50);
+	deferred.resolve(3);
+	return when(nativePromise, function(value){
+		assert.equal(value, 3);
+		assert.deepEqual(updates, [50]);
+		var converted = promise.from(Promise.resolve(4));
+		assert.ok(!(converted instanceof Promise));
+		assert.strictEqual(promise.from(converted), converted);
+		return converted;
+	}).then(function(value){
+		assert.equal(value, 4);
+	});
+};
+
+exports.testCancelPropagatesUpstream = function(){
+	var promise = require("../lib/promise"),
+		cancelled = 0,
+		deferred = defer(function(){
+			cancelled++;
+		});
+	var first = deferred.promise.then(function(){}),
+		second = deferred.promise.then(function(){});
+	first.cancel();
+	assert.equal(cancelled, 0, "another consumer still needs the result");
+	second.cancel();
+	assert.equal(cancelled, 1);
+	return second.then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.ok(error instanceof promise.CancelError);
+	});
+};
+
+exports.testCancelAdoptedPromise = function(){
+	var cancelled, started = defer(), inner = defer(function(){
+		cancelled = true;
+	});
+	var outer = started.promise.then(function(){
+		return inner.promise;
+	});
+	started.resolve();
+	return started.promise.then(function(){
+		// the callback of outer has run and outer is now following inner
+		outer.cancel();
+		assert.ok(cancelled);
+	});
+};
+
+exports.testAllCancelsRemainingOnFailure = function(){
+	var promise = require("../lib/promise"),
+		cancelled,
+		pending = defer(function(){
+			cancelled = true;
+		}),
+		failing = defer();
+	var all = promise.all([pending.promise, failing.promise]);
+	failing.reject(new Error("failed"));
+	return all.then(null, function(error){
+		assert.equal(error.message, "failed");
+		assert.ok(cancelled);
+	});
+};
+
+exports.testFirstCancelsLosers = function(){
+	var promise = require("../lib/promise"),
+		cancelled,
+		loser = defer(function(){
+			cancelled = true;
+		});
+	return promise.first([loser.promise, promise.delay(1).then(function(){
+		return "winner";
+	})]).then(function(value){
+		assert.equal(value, "winner");
+		assert.ok(cancelled);
+		cancelled = false;
+		loser = defer(function(){
+			cancelled = true;
+		});
+		return promise.first([1, loser.promise]);
+	}).then(function(value){
+		assert.equal(value, 1);
+		assert.ok(cancelled);
+	});
+};
+
+exports.testCancelDelay = function(){
+	var promise = require("../lib/promise"),
+		delayed = promise.delay(100000);
+	delayed.cancel();
+	return delayed.then(null, function(error){
+		assert.ok(error instanceof promise.CancelError);
+	});
+};
+
+exports.testUnhandledRejectionTracking = function(){
+	var promise = require("../lib/promise"),
+		finished = defer(),
+		error = new Error("unhandled"),
+		reported = [], handled = [];
+	var unhandledSignal = promise.onUnhandledRejection(function(reason, rejected){
+		reported.push(reason);
+	});
+	var handledSignal = promise.onRejectionHandled(function(rejected){
+		handled.push(rejected);
+	});
+	var deferred = defer();
+	deferred.reject(error);
+	setTimeout(function(){
+		try{
+			assert.deepEqual(reported, [error]);
+			assert.ok(promise.getUnhandledRejections().some(function(rejection){
+				return rejection.reason === error && rejection.promise === deferred.promise;
+			}));
+			deferred.promise.then(null, function(){
+				assert.deepEqual(handled, [deferred.promise]);
+				assert.ok(!promise.getUnhandledRejections().some(function(rejection){
+					return rejection.reason === error;
+				}));
+				finished.resolve();
+			});
+		}catch(e){
+			finished.reject(e);
+		}
+	}, promise.errorTimeout + 20);
+	return finished.promise.then(function(){
+		unhandledSignal.dismiss();
+		handledSignal.dismiss();
+	}, function(e){
+		unhandledSignal.dismiss();
+		handledSignal.dismiss();
+		throw e;
+	});
+};
+
+exports.testLongStackTraces = function(){
+	var promise = require("../lib/promise"),
+		enabled = promise.longStackTraces;
+	promise.longStackTraces = true;
+	try{
+		var deferred = defer();
+		var chained = deferred.promise.then(function namedCallback(){
+			throw new Error("failed");
+		});
+	}finally{
+		promise.longStackTraces = enabled;
+	}
+	deferred.resolve();
+	return chained.then(null, function(error){
+		var sections = error.stack.split("From previous event:");
+		assert.equal(sections.length, 2);
+		assert.ok(sections[1].indexOf("testLongStackTraces") > -1);
+		assert.ok(sections[1].indexOf("lib/promise.js") == -1);
+		assert.deepEqual(Object.keys(error), []);
+	});
+};
+
+exports.testRequireDoesNotWarn = function(){
+	var output = require("child_process").spawnSync(process.execPath, ["-e", "require('../lib/promise')"], {
+		cwd: __dirname,
+		encoding: "utf8"
+	});
+	assert.equal(output.status, 0);
+	assert.equal(output.stderr, "");
+};
+
+exports.testInspect = function(){
+	var promise = require("../lib/promise"),
+		pending = defer(), fulfilled = defer(), rejected = defer();
+	fulfilled.resolve(1);
+	rejected.reject(2);
+	rejected.promise.then(null, function(){});
+	assert.ok(pending.promise.isPending());
+	assert.deepEqual(pending.promise.inspect(), {state: "pending"});
+	assert.ok(fulfilled.promise.isFulfilled() && !fulfilled.promise.isPending());
+	assert.deepEqual(fulfilled.promise.inspect(), {state: "fulfilled", value: 1});
+	assert.ok(rejected.promise.isRejected() && !rejected.promise.isFulfilled());
+	assert.deepEqual(promise.inspect(rejected.promise), {state: "rejected", reason: 2});
+	assert.deepEqual(promise.inspect(3), {state: "fulfilled", value: 3});
+	assert.ok(promise.isFulfilled(3));
+	assert.ok(promise.isPending({then: function(){}}));
+	assert.ok(!promise.isRejected(fulfilled.promise));
+};
+
+function rejected(reason){
+	var deferred = defer();
+	deferred.reject(reason);
+	return deferred.promise;
+}
+
+exports.testAllSettled = function(){
+	var promise = require("../lib/promise");
+	return promise.allSettled([1, rejected("a"), promise.delay(1).then(function(){
+		return 3;
+	})]).then(function(results){
+		assert.deepEqual(results, [
+			{status: "fulfilled", value: 1},
+			{status: "rejected", reason: "a"},
+			{status: "fulfilled", value: 3}
+		]);
+		return promise.allSettled({one: 1, two: rejected("b")});
+	}).then(function(results){
+		assert.deepEqual(results, {
+			one: {status: "fulfilled", value: 1},
+			two: {status: "rejected", reason: "b"}
+		});
+	});
+};
+
+exports.testAny = function(){
+	var promise = require("../lib/promise");
+	return promise.any([rejected("a"), promise.delay(1).then(function(){
+		return 2;
+	})]).then(function(value){
+		assert.equal(value, 2);
+		return promise.any([rejected("a"), rejected("b")]);
+	}).then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.ok(error instanceof promise.AggregateError);
+		assert.ok(error instanceof Error);
+		assert.deepEqual(error.errors, ["a", "b"]);
+	});
+};
+
+exports.testRace = function(){
+	var promise = require("../lib/promise"),
+		error = new Error("first");
+	return promise.race([rejected(error), promise.delay(1)]).then(function(){
+		assert.fail("should not fulfill");
+	}, function(reason){
+		assert.strictEqual(reason, error);
+		return promise.first([rejected(error), promise.delay(1)]);
+	}).then(function(value){
+		assert.strictEqual(value, error);
+	});
+};
+
+exports.testRaceAndAnyCancelLosersAfterAPlainValue = function(){
+	var promise = require("../lib/promise"),
+		cancelled = [];
+	function loser(name){
+		return defer(function(){
+			cancelled.push(name);
+		}).promise;
+	}
+	return promise.race([1, loser("race")]).then(function(value){
+		assert.equal(value, 1);
+		return promise.any([2, loser("any")]);
+	}).then(function(value){
+		assert.equal(value, 2);
+		assert.deepEqual(cancelled, ["race", "any"]);
+	});
+};
+
+exports.testRejectionPolicies = function(){
+	var promise = require("../lib/promise"),
+		clock = require("../lib/clock").install(0),
+		policy = promise.rejectionPolicy,
+		processModule = require("../lib/process"),
+		print = processModule.print,
+		logged = [];
+	function rejectUnhandled(reason){
+		var deferred = defer();
+		deferred.reject(reason);
+		return deferred.promise;
+	}
+	try{
+		processModule.print = function(){
+			logged.push(Array.prototype.slice.call(arguments));
+		};
+		var thrown = new Error("thrown"), rejected = [rejectUnhandled(thrown)];
+		assert.throws(function(){
+			clock.tick(promise.errorTimeout);
+		}, function(error){
+			return error === thrown;
+		});
+		promise.rejectionPolicy = "log";
+		var loggedError = new Error("logged");
+		rejected.push(rejectUnhandled(loggedError));
+		clock.tick(promise.errorTimeout);
+		assert.equal(logged.length, 1);
+		assert.equal(logged[0][0], "Unhandled rejection:");
+		assert.equal(logged[0][1], loggedError.stack);
+		promise.rejectionPolicy = "ignore";
+		rejected.push(rejectUnhandled(new Error("ignored")));
+		clock.tick(promise.errorTimeout);
+		assert.equal(logged.length, 1);
+		assert.equal(promise.getUnhandledRejections().length, 3);
+	}finally{
+		processModule.print = print;
+		promise.rejectionPolicy = policy;
+		clock.uninstall();
+	}
+	return promise.all(rejected.map(function(rejected){
+		return rejected.then(null, function(){});
+	})).then(function(){
+		assert.equal(promise.getUnhandledRejections().length, 0);
+	});
+};
+
+exports.testLosersRejectingLaterAreHandled = function(){
+	var promise = require("../lib/promise"),
+		reported = [];
+	var listener = promise.onUnhandledRejection(function(reason){
+		reported.push(reason);
+	});
+	// deferreds without a canceller can not be cancelled when they lose
+	var raceLoser = defer(), allLoser = defer();
+	var failed = defer();
+	failed.reject(new Error("failed"));
+	return promise.race([promise.delay(1), raceLoser.promise]).then(function(){
+		raceLoser.reject(new Error("timeout loser"));
+		return promise.all([failed.promise, allLoser.promise]).then(null, function(){});
+	}).then(function(){
+		allLoser.reject(new Error("all loser"));
+		return promise.delay(promise.errorTimeout + 20);
+	}).then(function(){
+		listener.dismiss();
+		assert.deepEqual(reported, []);
+	});
+};
+
+exports.testMapConcurrency = function(){
+	var promise = require("../lib/promise"),
+		active = 0, maxActive = 0, updates = [];
+	return promise.map([5, 1, 3, 2, 4], function(item, index){
+		active++;
+		maxActive = Math.max(active, maxActive);
+		return promise.delay(item).then(function(){
+			active--;
+			return item * 10 + index;
+		});
+	}, {concurrency: 2}).then(function(results){
+		assert.deepEqual(results, [50, 11, 32, 23, 44]);
+		assert.equal(maxActive, 2);
+		assert.equal(updates.length, 5);
+		assert.equal(updates[4].completed, 5);
+		assert.equal(updates[4].total, 5);
+	}, null, function(update){
+		updates.push(update);
+	});
+};
+
+exports.testMapStopsAfterRejection = function(){
+	var promise = require("../lib/promise"),
+		called = [];
+	return promise.mapSeries([1, 2, 3], function(item){
+		called.push(item);
+		if(item == 2){
+			throw new Error("failed");
+		}
+		return promise.delay(1);
+	}).then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.equal(error.message, "failed");
+		assert.deepEqual(called, [1, 2]);
+	});
+};
+
+exports.testMapLazyArray = function(){
+	var promise = require("../lib/promise"),
+		read = 0;
+	var lazy = LazyArray({
+		some: function(callback){
+			var items = [1, 2, 3, 4];
+			return promise.reduce(items, function(stopped, item){
+				if(stopped){
+					return true;
+				}
+				read++;
+				return callback(item);
+			}, false);
+		}
+	});
+	return promise.filter(lazy, function(item){
+		return promise.delay(1).then(function(){
+			return item % 2 == 0;
+		});
+	}, {concurrency: 1}).then(function(results){
+		assert.deepEqual(results, [2, 4]);
+		assert.equal(read, 4);
+	});
+};
+
+exports.testReduce = function(){
+	var promise = require("../lib/promise");
+	return promise.reduce([1, 2, 3], function(sum, item){
+		return promise.delay(1).then(function(){
+			return sum + item;
+		});
+	}, promise.delay(1).then(function(){
+		return 10;
+	})).then(function(sum){
+		assert.equal(sum, 16);
+		return promise.reduce([1, 2, 3], function(sum, item){
+			return sum + item;
+		});
+	}).then(function(sum){
+		assert.equal(sum, 6);
+		return promise.reduce([], function(){});
+	}).then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.ok(error instanceof TypeError);
+	});
+};
+
+exports.testRetry = function(){
+	var promise = require("../lib/promise"),
+		retried = [], attempts = [];
+	return promise.retry(function(attempt){
+		if(attempt < 3){
+			throw new Error("flaky");
+		}
+		return "success";
+	}, {minDelay: 1, onRetry: function(error, attempt, delay){
+		retried.push([attempt, delay]);
+	}}).then(function(value){
+		assert.equal(value, "success");
+		assert.deepEqual(retried, [[1, 1], [2, 2]]);
+		var retrying = promise.retry(function(attempt){
+			return rejected(new Error("failed " + attempt));
+		}, {retries: 2, minDelay: 1});
+		retrying.then(null, function(){}, function(update){
+			attempts.push(update.attempt);
+		});
+		return retrying;
+	}).then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.equal(error.message, "failed 3");
+		assert.equal(error.attempts, 3);
+		assert.deepEqual(attempts, [1, 2, 3]);
+		return promise.retry(function(){
+			return rejected(new Error("fatal"));
+		}, {minDelay: 1, shouldRetry: function(error, attempt){
+			return false;
+		}});
+	}).then(null, function(error){
+		assert.equal(error.attempts, 1);
+	});
+};
+
+exports.testCancelRetry = function(){
+	var promise = require("../lib/promise"),
+		calls = 0;
+	var retrying = promise.retry(function(){
+		calls++;
+		return rejected(new Error("failed"));
+	}, {minDelay: 50});
+	return promise.delay(10).then(function(){
+		retrying.cancel();
+		return promise.delay(60);
+	}).then(function(){
+		assert.equal(calls, 1);
+		assert.ok(retrying.isRejected());
+	});
+};
+
+exports.testPromiseMethods = function(){
+	var promise = require("../lib/promise"),
+		cleanedUp = 0, tapped, nodeified;
+	function resolved(value){
+		var deferred = defer();
+		deferred.resolve(value);
+		return deferred.promise;
+	}
+	return resolved({add: function(a, b){
+		return a + b;
+	}}).call("add", 1, 2).tap(function(value){
+		tapped = value;
+		return promise.delay(1);
+	})["finally"](function(){
+		cleanedUp++;
+	}).then(function(value){
+		assert.equal(value, 3);
+		assert.equal(tapped, 3);
+		return rejected(new Error("oops"))["finally"](function(){
+			cleanedUp++;
+		})["catch"](function(error){
+			assert.equal(error.message, "oops");
+			return resolved([1, resolved(2)]).spread(function(a, b){
+				return a + b;
+			});
+		});
+	}).then(function(value){
+		assert.equal(value, 3);
+		assert.equal(cleanedUp, 2);
+		return resolved(1).delay(5)["return"]("returned").nodeify(function(error, value){
+			nodeified = value;
+		});
+	}).then(function(value){
+		assert.equal(value, "returned");
+		assert.equal(nodeified, "returned");
+		return promise.delay(50).timeout(5, "too slow");
+	}).then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.ok(error instanceof promise.TimeoutError);
+		assert.equal(error.message, "too slow");
+	});
+};
+
+exports.testWhilst = function(){
+	var promise = require("../lib/promise"),
+		count = 0;
+	// synchronous iterations don't grow the stack
+	return promise.whilst(function(){
+		return count < 20000;
+	}, function(){
+		return ++count;
+	}).then(function(result){
+		assert.equal(result, 20000);
+		count = 0;
+		return promise.until(function(){
+			return promise.delay(0).then(function(){
+				return count === 3;
+			});
+		}, function(){
+			var deferred = defer();
+			deferred.resolve(++count);
+			return deferred.promise;
+		});
+	}).then(function(result){
+		assert.equal(result, 3);
+		var calls = 0;
+		var looping = promise.whilst(function(){
+			return true;
+		}, function(){
+			calls++;
+			return promise.delay(1);
+		});
+		setTimeout(function(){
+			looping.cancel();
+		}, 20);
+		return looping.then(function(){
+			assert.fail("should not fulfill");
+		}, function(error){
+			assert.ok(error instanceof promise.CancelError);
+			var stopped = calls;
+			return promise.delay(10).then(function(){
+				assert.equal(calls, stopped);
+			});
+		});
+	});
+};
+
+exports.testTimes = function(){
+	var promise = require("../lib/promise"),
+		running = 0, maxRunning = 0;
+	return promise.times(10, function(index){
+		running++;
+		maxRunning = Math.max(running, maxRunning);
+		return promise.delay(1).then(function(){
+			running--;
+			return index * 2;
+		});
+	}, {concurrency: 3}).then(function(results){
+		assert.deepEqual(results, [0, 2, 4, 6, 8, 10, 12, 14, 16, 18]);
+		assert.equal(maxRunning, 3);
+	});
+};
+
+exports.testPoll = function(){
+	var promise = require("../lib/promise");
+	return promise.poll(function(attempt){
+		return attempt;
+	}, {interval: 1, until: function(value){
+		return value === 4;
+	}}).then(function(value){
+		assert.equal(value, 4);
+		var calls = 0;
+		return promise.poll(function(){
+			calls++;
+			return false;
+		}, {interval: 5, timeout: 20}).then(function(){
+			assert.fail("should not fulfill");
+		}, function(error){
+			assert.ok(error instanceof promise.TimeoutError);
+			var stopped = calls;
+			return promise.delay(15).then(function(){
+				assert.equal(calls, stopped);
+			});
+		});
+	});
+};
+
+exports.testWithTimeout = function(){
+	var promise = require("../lib/promise"),
+		cancelled,
+		slow = defer(function(){
+			cancelled = true;
+		});
+	return promise.withTimeout(promise.delay(1).then(function(){
+		return "fast";
+	}), 1000).then(function(value){
+		assert.equal(value, "fast");
+		return promise.withTimeout(slow.promise, 10, {message: "too slow", cancel: true});
+	}).then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.ok(error instanceof promise.TimeoutError);
+		assert.equal(error.message, "too slow");
+		assert.ok(error.elapsed >= 9);
+		assert.ok(cancelled);
+	});
+};
+
+exports.testDeferredTimeout = function(){
+	var promise = require("../lib/promise"),
+		deferred = defer();
+	deferred.timeout(1000);
+	deferred.timeout(10);
+	assert.equal(deferred.timeout(), 10);
+	return deferred.promise.then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.ok(error instanceof promise.TimeoutError);
+		// settling clears the timer
+		var fast = defer();
+		fast.timeout(5);
+		fast.resolve("value");
+		return promise.delay(10).then(function(){
+			assert.ok(fast.promise.isFulfilled());
+		});
+	});
+};
+
+exports.testAllProgress = function(){
+	var promise = require("../lib/promise"),
+		first = defer(), second = defer(), updates = [];
+	var all = promise.all([first.promise, second.promise]);
+	all.then(null, null, function(update){
+		updates.push(update);
+	});
+	first.progress(50);
+	second.resolve(2);
+	first.resolve(1);
+	return all.then(function(){
+		assert.deepEqual(updates, [
+			{index: 0, update: 50, completed: 0, total: 2},
+			{index: 1, completed: 1, total: 2},
+			{index: 0, completed: 2, total: 2}
+		]);
+	});
+};
+
+exports.testAllKeysAndSeqProgress = function(){
+	var promise = require("../lib/promise"),
+		download = defer(), keyUpdates = [], seqUpdates = [];
+	var allKeys = promise.allKeys({download: download.promise});
+	allKeys.then(null, null, function(update){
+		keyUpdates.push(update);
+	});
+	download.progress("half");
+	download.resolve();
+	var step = defer();
+	var seq = promise.seq([function(){
+		return step.promise;
+	}, function(){
+		return 2;
+	}]);
+	seq.then(null, null, function(update){
+		seqUpdates.push(update);
+	});
+	step.progress("working");
+	step.resolve(1);
+	return promise.all([allKeys, seq]).then(function(){
+		assert.deepEqual(keyUpdates, [
+			{key: "download", update: "half", completed: 0, total: 1},
+			{key: "download", completed: 1, total: 1}
+		]);
+		assert.deepEqual(seqUpdates, [
+			{index: 0, update: "working", completed: 0, total: 2},
+			{index: 0, completed: 1, total: 2},
+			{index: 1, completed: 2, total: 2}
+		]);
+	});
+};
+
+exports.testProgressOfPlainValues = function(){
+	var promise = require("../lib/promise"),
+		later = defer(), updates = {all: [], allKeys: [], seq: [], map: []};
+	function listen(name, promise){
+		return promise.then(null, null, function(update){
+			updates[name].push(update);
+		});
+	}
+	var done = promise.all([
+		listen("all", promise.all([1, later.promise])),
+		listen("allKeys", promise.allKeys({plain: 1, later: later.promise})),
+		listen("seq", promise.seq([function(){
+			return 1;
+		}, function(){
+			return later.promise;
+		}])),
+		listen("map", promise.map([1, 2], function(item){
+			return item == 1 ? item : later.promise;
+		}))
+	]);
+	later.resolve(2);
+	return done.then(function(){
+		assert.deepEqual(updates.all, [
+			{index: 0, completed: 1, total: 2},
+			{index: 1, completed: 2, total: 2}
+		]);
+		assert.deepEqual(updates.allKeys, [
+			{key: "plain", completed: 1, total: 2},
+			{key: "later", completed: 2, total: 2}
+		]);
+		assert.deepEqual(updates.seq, [
+			{index: 0, completed: 1, total: 2},
+			{index: 1, completed: 2, total: 2}
+		]);
+		assert.deepEqual(updates.map, [
+			{index: 0, completed: 1, total: 2},
+			{index: 1, completed: 2, total: 2}
+		]);
+	});
+};
+
+exports.testSeqRejectsWhenAStepThrows = function(){
+	var promise = require("../lib/promise"),
+		called = [];
+	return promise.seq([function(){
+		called.push(1);
+		return 1;
+	}, function(){
+		called.push(2);
+		throw new Error("boom");
+	}, function(){
+		called.push(3);
+	}]).then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.equal(error.message, "boom");
+		assert.deepEqual(called, [1, 2]);
+	});
+};
+
+exports.testContext = function(){
+	var promise = require("../lib/promise"),
+		context = promise.context,
+		shared = defer(), seen = [];
+	function handle(user){
+		return context.run({user: user}, function(){
+			assert.equal(context.get().user, user);
+			return shared.promise.then(function(){
+				seen.push(context.get().user);
+				return promise.delay(1);
+			}).then(function(){
+				return promise.seq([function(){
+					return context.get().user;
+				}]);
+			});
+		});
+	}
+	var requests = promise.all([handle("alice"), handle("bob")]);
+	assert.equal(context.get(), undefined);
+	shared.resolve();
+	return requests.then(function(users){
+		assert.deepEqual(seen, ["alice", "bob"]);
+		assert.deepEqual(users, ["alice", "bob"]);
+	});
+};
+
+exports.testPromisifyAll = function(){
+	var promise = require("../lib/promise");
+	var api = {
+		prefix: "got ",
+		get: function(){
+			var args = Array.prototype.slice.call(arguments),
+				callback = args.pop();
+			callback(null, this.prefix + args.join(","));
+		},
+		pair: function(callback){
+			callback(null, 1, 2);
+		},
+		fail: function(callback){
+			callback(new Error("failed"));
+		},
+		getSync: function(){}
+	};
+	promise.promisifyAll(api);
+	assert.ok(!api.getSyncAsync);
+	return api.getAsync("a", "b", "c").then(function(value){
+		assert.equal(value, "got a,b,c");
+		return api.pairAsync();
+	}).then(function(values){
+		assert.ok(Array.isArray(values));
+		assert.deepEqual(values, [1, 2]);
+		var single = promise.promisifyAll(api, {suffix: "First", multiArgs: false, target: {}});
+		return single.pairFirst();
+	}).then(function(value){
+		assert.strictEqual(value, 1);
+		return api.failAsync();
+	}).then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.equal(error.message, "failed");
+	});
+};
+
+exports.testNodeify = function(){
+	var promise = require("../lib/promise"),
+		finished = defer();
+	promise.nodeify(promise.delay(1).then(function(){
+		return "value";
+	}), function(error, value){
+		try{
+			assert.equal(error, null);
+			assert.equal(value, "value");
+		}catch(e){
+			finished.reject(e);
+			return;
+		}
+		promise.nodeify(rejected("reason"), function(error){
+			if(error != "reason"){
+				finished.reject(error);
+				return;
+			}
+			promise.nodeify(rejected(0), function(error){
+				try{
+					assert.ok(error instanceof Error);
+					assert.equal(error.code, "ERR_FALSY_VALUE_REJECTION");
+					assert.strictEqual(error.reason, 0);
+				}catch(e){
+					finished.reject(e);
+					return;
+				}
+				finished.resolve();
+			});
+		});
+	});
+	return finished.promise;
+};
+
+exports.testMemoize = function(){
+	var promise = require("../lib/promise"),
+		calls = 0;
+	var fetch = promise.memoize(function(url){
+		var call = ++calls;
+		return promise.delay(1).then(function(){
+			if(url == "bad"){
+				throw new Error("failed");
+			}
+			return url + call;
+		});
+	}, {maxEntries: 2});
+	var first = fetch("a"), second = fetch("a");
+	assert.notStrictEqual(first, second);
+	return promise.all([first, second]).then(function(values){
+		assert.deepEqual(values, ["a1", "a1"]);
+		assert.equal(calls, 1);
+		return fetch("bad");
+	}).then(null, function(){
+		// rejections are not cached
+		return fetch("bad");
+	}).then(null, function(){
+		assert.equal(calls, 3);
+		return promise.all([fetch("b"), fetch("c"), fetch("a")]);
+	}).then(function(values){
+		// a was evicted as the least recently used entry
+		assert.deepEqual(values, ["b4", "c5", "a6"]);
+		fetch["delete"]("c");
+		return fetch("c");
+	}).then(function(value){
+		assert.equal(value, "c7");
+		fetch.clear();
+		return fetch("a");
+	}).then(function(value){
+		assert.equal(value, "a8");
+	});
+};
+
+exports.testMemoizeTtl = function(){
+	var promise = require("../lib/promise"),
+		calls = 0;
+	var lookup = promise.memoize(function(){
+		return ++calls;
+	}, {ttl: 5});
+	assert.equal(lookup(), 1);
+	assert.equal(lookup(), 1);
+	return promise.delay(10).then(function(){
+		assert.equal(lookup(), 2);
+	});
+};
+
 function veryDeferred(){
 	var deferred = defer();
 	setTimeout(function(){
@@ -86,6 +1121,154 @@ exports.testStep = function(){
 	return deferred.promise;
 };
 
+exports.testStepParallel = function(){
+	var promise = require("../lib/promise");
+	function later(value, callback){
+		setTimeout(function(){
+			callback(null, value);
+		}, 5);
+	}
+	return Step({}, [
+		function(){
+			later(1, this.parallel());
+			this.parallel(promise.delay(1).then(function(){
+				return 2;
+			}));
+			var group = this.group();
+			later("a", group());
+			group("b");
+			var empty = this.group();
+		},
+		function(err, one, two, letters, empty){
+			assert.equal(err, null);
+			assert.equal(one, 1);
+			assert.equal(two, 2);
+			assert.deepEqual(letters, ["a", "b"]);
+			assert.deepEqual(empty, []);
+			var callback = this.parallel();
+			setTimeout(function(){
+				callback(new Error("failed"));
+			}, 1);
+			this.parallel(3);
+		},
+		function(err, failed, three){
+			assert.equal(err.message, "failed");
+			assert.equal(three, 3);
+			return "done";
+		}
+	]).then(function(result){
+		assert.equal(result, "done");
+	});
+};
+
+exports.testStepRunsOnTheContext = function(){
+	var context = {group: "kept"};
+	return Step(context, [
+		function(){
+			assert.strictEqual(this, context);
+			this.parallel(1);
+		},
+		function(err, one){
+			this.result = one;
+			return true;
+		}
+	]).then(function(){
+		assert.equal(context.result, 1);
+		assert.equal(context.group, "kept");
+		assert.ok(!("parallel" in context));
+	});
+};
+
+exports.testStepNamesTimeoutsAndErrorHandler = function(){
+	var promise = require("../lib/promise");
+	return Step({}, [
+		{name: "slow", timeout: 5, fn: function(){
+			return promise.delay(100);
+		}},
+		function(err){
+			assert.ok(err instanceof promise.TimeoutError);
+			assert.equal(err.step, "slow");
+			return true;
+		},
+		function load(){
+			throw new Error("broken");
+		}
+	], {
+		error: function(err){
+			assert.equal(err.message, "broken");
+			return err.step;
+		}
+	}).then(function(result){
+		assert.equal(result, "load");
+	});
+};
+
+exports.testSpawn = function(){
+	var promise = require("../lib/promise");
+	return spawn(function*(){
+		var value = yield promise.delay(1).then(function(){
+			return 1;
+		});
+		var values = yield [value, promise.delay(1).then(function(){
+			return 2;
+		})];
+		var items = yield LazyArray({
+			some: function(callback){
+				[3, 4].some(callback);
+			}
+		});
+		try{
+			yield rejected(new Error("failed"));
+		}catch(e){
+			assert.equal(e.message, "failed");
+		}
+		return values.concat(items, yield 5);
+	}).then(function(result){
+		assert.deepEqual(result, [1, 2, 3, 4, 5]);
+	});
+};
+
+exports.testAsync = function(){
+	var add = async(function*(a, b){
+		var sum = yield a + b;
+		if(sum > 10){
+			throw new Error("too big");
+		}
+		return sum + this.offset;
+	});
+	return add.call({offset: 1}, 1, 2).then(function(result){
+		assert.equal(result, 4);
+		return add(10, 2);
+	}).then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.equal(error.message, "too big");
+	});
+};
+
+exports.testSpawnCancel = function(){
+	var promise = require("../lib/promise"),
+		cleanedUp, timerCancelled, resumed;
+	var running = spawn(function*(){
+		try{
+			yield defer(function(){
+				timerCancelled = true;
+			}).promise;
+			resumed = true;
+		}finally{
+			yield promise.delay(1);
+			cleanedUp = true;
+		}
+	});
+	running.cancel();
+	assert.ok(timerCancelled);
+	return promise.delay(10).then(function(){
+		assert.ok(cleanedUp);
+		assert.ok(!resumed);
+		assert.ok(running.isRejected());
+	});
+};
+
 if (require.main === module)
     require("patr/runner").run(exports);
 
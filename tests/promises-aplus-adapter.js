@@ -0,0 +1,27 @@
+// Adapter for the Promises/A+ compliance test suite, run it with:
+// promises-aplus-tests tests/promises-aplus-adapter.js
+var promise = require("../lib/promise"),
+	defer = promise.defer;
+
+// the suite leaves rejections unhandled on purpose
+promise.rejectionPolicy = "ignore";
+
+exports.deferred = function(){
+	var deferred = defer(), settled;
+	// the suite settles deferreds repeatedly, which deferreds reject by throwing
+	return {
+		promise: deferred.promise,
+		resolve: function(value){
+			if(!settled){
+				settled = true;
+				deferred.resolve(value);
+			}
+		},
+		reject: function(reason){
+			if(!settled){
+				settled = true;
+				deferred.reject(reason);
+			}
+		}
+	};
+};
@@ -0,0 +1,8 @@
+// the child process of the testChildProcess test in remote.js
+var Connection = require("../lib/remote").Connection;
+
+new Connection(process, {
+	add: function(a, b){
+		return a + b;
+	}
+});
@@ -0,0 +1,241 @@
+var assert = require("assert"),
+	promise = require("../lib/promise"),
+	remote = require("../lib/remote"),
+	Connection = remote.Connection;
+
+// an in memory message channel, messages are delivered as JSON in a later turn
+function channel(){
+	var log = [];
+	function end(){
+		var listeners = [], closers = [];
+		return {
+			listeners: listeners,
+			closers: closers,
+			onMessage: function(listener){
+				listeners.push(listener);
+				return {
+					dismiss: function(){
+						listeners.splice(listeners.indexOf(listener), 1);
+					}
+				};
+			},
+			onClose: function(listener){
+				closers.push(listener);
+			}
+		};
+	}
+	var a = end(), b = end();
+	[[a, b], [b, a]].forEach(function(ends){
+		ends[0].send = function(message){
+			var json = JSON.stringify(message);
+			log.push(JSON.parse(json));
+			setTimeout(function(){
+				ends[1].listeners.forEach(function(listener){
+					listener(JSON.parse(json));
+				});
+			}, 0);
+		};
+	});
+	return {
+		a: a,
+		b: b,
+		log: log,
+		close: function(){
+			a.closers.concat(b.closers).forEach(function(close){
+				close();
+			});
+		}
+	};
+}
+
+function counter(start){
+	return {
+		count: start,
+		increment: function(by){
+			return this.count += by;
+		}
+	};
+}
+
+exports.testGetPutCall = function(){
+	var ports = channel(), called;
+	new Connection(ports.a, {
+		name: "server",
+		add: function(a, b){
+			return promise.delay(1).then(function(){
+				return a + b;
+			});
+		},
+		counter: function(start){
+			return remote.ref(counter(start));
+		},
+		each: function(items, callback){
+			return promise.all(items.map(function(item){
+				return callback(item);
+			}));
+		}
+	});
+	var root = new Connection(ports.b).root;
+	return promise.get(root, "name").then(function(name){
+		assert.equal(name, "server");
+		return promise.put(root, "name", "renamed");
+	}).then(function(){
+		return root.get("name");
+	}).then(function(name){
+		assert.equal(name, "renamed");
+		return promise.call(root, "add", [1, 2]);
+	}).then(function(sum){
+		assert.equal(sum, 3);
+		return root.call("counter", 10);
+	}).then(function(counter){
+		assert.ok(counter instanceof remote.RemoteObject);
+		return counter.call("increment", 5).then(function(){
+			return promise.get(counter, "count");
+		});
+	}).then(function(count){
+		assert.equal(count, 15);
+		return root.call("each", [1, 2], function(item){
+			return item * 2;
+		});
+	}).then(function(doubled){
+		assert.deepEqual(doubled, [2, 4]);
+	});
+};
+
+exports.testPipelining = function(){
+	var ports = channel();
+	new Connection(ports.a, {
+		counter: function(start){
+			return remote.ref(counter(start));
+		}
+	});
+	var root = new Connection(ports.b).root;
+	var result = root.call("counter", 1).call("increment", 2);
+	// both requests are sent before the first is answered
+	assert.deepEqual(ports.log.map(function(message){
+		return message.type;
+	}), ["call", "call"]);
+	assert.deepEqual(ports.log[1].target, {answer: ports.log[0].id});
+	return result.then(function(count){
+		assert.equal(count, 3);
+	});
+};
+
+exports.testErrors = function(){
+	var ports = channel();
+	new Connection(ports.a, {
+		fail: function(){
+			var error = new TypeError("bad argument");
+			error.code = "EBAD";
+			throw error;
+		},
+		reject: function(){
+			var deferred = promise.defer();
+			deferred.reject("not an error");
+			return deferred.promise;
+		}
+	});
+	var root = new Connection(ports.b).root;
+	return root.call("fail").then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.ok(error instanceof TypeError);
+		assert.equal(error.message, "bad argument");
+		assert.equal(error.code, "EBAD");
+		assert.ok(/fail/.test(error.stack));
+		return root.call("reject");
+	}).then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.equal(error, "not an error");
+		return root.call("missing");
+	}).then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.ok(error instanceof TypeError);
+	});
+};
+
+exports.testOnlyOwnPropertiesAreServed = function(){
+	var ports = channel(), root = {
+		name: "server",
+		callback: function(){
+			return "called";
+		}
+	};
+	new Connection(ports.a, root);
+	var client = new Connection(ports.b).root;
+	function refused(request){
+		return request.then(function(){
+			assert.fail("should not fulfill");
+		}, function(error){
+			assert.ok(error instanceof TypeError);
+		});
+	}
+	var callback = client.get("callback"),
+		constructor = client.get("constructor"),
+		functionConstructor = constructor.get("constructor");
+	return promise.all([
+		refused(constructor),
+		refused(functionConstructor),
+		refused(functionConstructor.call(undefined, "return process.pid")),
+		refused(client.get("toString")),
+		refused(client.call("hasOwnProperty", "name")),
+		refused(client.put("__proto__", {polluted: true})),
+		refused(client.put("toString", "shadowed")),
+		// requested before the function arrives, so it is pipelined
+		refused(callback.get("prototype")),
+		// only functions passed as references can be called without a method name
+		refused(client.call(undefined))
+	]).then(function(){
+		assert.ok(!("polluted" in root));
+		assert.equal(typeof root.toString, "function");
+		return client.put("added", 1);
+	}).then(function(){
+		assert.equal(root.added, 1);
+		return client.call("callback");
+	}).then(function(result){
+		assert.equal(result, "called");
+	});
+};
+
+exports.testClose = function(){
+	var ports = channel(), server = new Connection(ports.a, {
+		wait: function(){
+			return promise.defer().promise;
+		}
+	});
+	var client = new Connection(ports.b);
+	var waiting = client.root.call("wait");
+	return promise.delay(5).then(function(){
+		ports.close();
+		assert.ok(server.isClosed() && client.isClosed());
+		return waiting;
+	}).then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.equal(error.message, "The connection was closed");
+		return client.root.get("wait");
+	}).then(function(){
+		assert.fail("should not fulfill");
+	}, function(error){
+		assert.equal(error.message, "The connection is closed");
+	});
+};
+
+exports.testChildProcess = function(){
+	var child = require("child_process").fork(__dirname + "/remote-child.js");
+	var connection = new Connection(child);
+	return promise.call(connection.root, "add", [2, 3]).then(function(sum){
+		assert.equal(sum, 5);
+		var deferred = promise.defer();
+		child.on("exit", deferred.resolve);
+		child.disconnect();
+		return deferred.promise;
+	}).then(function(){
+		assert.ok(connection.isClosed());
+	});
+};
+
+if (require.main === module)
+	require("patr/runner").run(exports);